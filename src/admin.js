@@ -2,15 +2,15 @@
 /* eslint no-labels: ['error', { 'allowLoop': true }] */
 import 'fetch-everywhere';
 import StitchClient from './client';
-import ADMIN_CLIENT_TYPE from './common';
-import { ADMIN_CLIENT_CODEC } from './auth/common';
+import { ADMIN_CLIENT_TYPE } from './common';
+import { ADMIN_CLIENT_CODEC, LOGOUT_EVENT } from './auth/common';
 
 const v2 = 2;
 const v3 = 3;
 
 export default class Admin extends StitchClient {
-  constructor(baseUrl) {
-    super('', {baseUrl, authCodec: ADMIN_CLIENT_CODEC});
+  constructor(baseUrl, options) {
+    super('', Object.assign({}, options, {baseUrl, authCodec: ADMIN_CLIENT_CODEC}));
   }
 
   get type() {
@@ -88,7 +88,7 @@ export default class Admin extends StitchClient {
    */
   logout() {
     return super._do('/auth/session', 'DELETE', { refreshOnFailure: false, useRefreshToken: true, apiVersion: v3 })
-      .then(() => this.auth.clear());
+      .then(() => this.auth.invalidate(LOGOUT_EVENT));
   }
 
   /**
@@ -2,13 +2,59 @@ export const USER_AUTH_KEY = '_stitch_ua';
 export const REFRESH_TOKEN_KEY = '_stitch_rt';
 export const DEVICE_ID_KEY = '_stitch_did';
 export const STATE_KEY = '_stitch_state';
+export const STATE_PROVIDER_KEY = '_stitch_state_provider';
 export const IMPERSONATION_ACTIVE_KEY = '_stitch_impers_active';
 export const IMPERSONATION_USER_KEY = '_stitch_impers_user';
 export const IMPERSONATION_REAL_USER_AUTH_KEY = '_stitch_impers_real_ua';
+export const USERS_KEY = '_stitch_users';
+export const OFFLINE_QUEUE_KEY = '_stitch_offline_queue';
 export const USER_AUTH_COOKIE_NAME = 'stitch_ua';
 export const STITCH_ERROR_KEY = '_stitch_error';
 export const STITCH_LINK_KEY = '_stitch_link';
+export const STITCH_LOCATION_HEADER = 'X-Stitch-Location';
+export const OAUTH_POPUP_WINDOW_NAME = '_stitch_oauth_popup';
+export const OAUTH_POPUP_MESSAGE_TYPE = 'stitchOAuthRedirect';
+export const OAUTH_POPUP_POLL_INTERVAL_MS = 100;
+export const OAUTH_LOOPBACK_TIMEOUT_MS = 5 * 60 * 1000;
 export const DEFAULT_ACCESS_TOKEN_EXPIRE_WITHIN_SECS = 10;
+export const DEFAULT_REFRESH_AHEAD_SECS = 60;
+export const DEFAULT_REFRESH_RETRY_DELAY_MS = 30000;
+
+// every key auth data is stored under; earlier versions stored these without a namespace
+export const AUTH_STORAGE_KEYS = [
+  USER_AUTH_KEY,
+  REFRESH_TOKEN_KEY,
+  DEVICE_ID_KEY,
+  STATE_KEY,
+  STATE_PROVIDER_KEY,
+  IMPERSONATION_ACTIVE_KEY,
+  IMPERSONATION_USER_KEY,
+  IMPERSONATION_REAL_USER_AUTH_KEY,
+  USERS_KEY,
+  OFFLINE_QUEUE_KEY
+];
+
+// Returns the prefix for storage keys of a client, so that clients of different
+// apps (or an app client and an admin client) on the same origin do not share
+// auth data.
+export const storageNamespace = (clientType, appId) =>
+  (appId ? `_stitch.${clientType}.${appId}` : `_stitch.${clientType}`);
+
+export const LOGIN_EVENT = 'login';
+export const LOGOUT_EVENT = 'logout';
+export const TOKEN_REFRESHED_EVENT = 'tokenRefreshed';
+export const SESSION_INVALIDATED_EVENT = 'sessionInvalidated';
+export const REDIRECT_ERROR_EVENT = 'redirectError';
+export const ACTIVE_USER_CHANGED_EVENT = 'activeUserChanged';
+export const IDENTITY_LINKED_EVENT = 'identityLinked';
+
+// the events after which a different user (or none) is logged in
+export const AUTH_STATE_EVENTS = [
+  LOGIN_EVENT,
+  LOGOUT_EVENT,
+  SESSION_INVALIDATED_EVENT,
+  ACTIVE_USER_CHANGED_EVENT
+];
 
 export const APP_CLIENT_CODEC = {
   'accessToken': 'access_token',
@@ -0,0 +1,186 @@
+/* global window */
+import * as base64 from 'Base64';
+import { StitchError, ErrEncryptionFailed, ErrInvalidArgument } from '../errors';
+
+// marks values encrypted by EncryptedStorage; any other value was written
+// before encryption was enabled
+export const ENCRYPTED_VALUE_PREFIX = 'enc:v1:';
+
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+const encodeBytes = bytes => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return base64.btoa(binary);
+};
+
+const decodeBytes = str => {
+  const binary = base64.atob(str);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+const encodeUTF8 = str => decodeBytes(base64.btoa(unescape(encodeURIComponent(str))));
+const decodeUTF8 = bytes => decodeURIComponent(escape(base64.atob(encodeBytes(bytes))));
+
+// AES-GCM through WebCrypto. Keys are either CryptoKeys or raw key bytes.
+function webCipher(crypto) {
+  const algorithm = iv => ({ name: 'AES-GCM', iv });
+  return {
+    importKey: key => (key.algorithm ?
+      Promise.resolve(key) :
+      crypto.subtle.importKey('raw', key, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt'])),
+    encrypt: (key, iv, data) => crypto.subtle.encrypt(algorithm(iv), key, data).then(buf => new Uint8Array(buf)),
+    decrypt: (key, iv, data) => crypto.subtle.decrypt(algorithm(iv), key, data).then(buf => new Uint8Array(buf)),
+    randomBytes: length => crypto.getRandomValues(new Uint8Array(length))
+  };
+}
+
+// AES-GCM through Node's crypto module, producing the same output as WebCrypto:
+// the ciphertext followed by the authentication tag.
+function nodeCipher(crypto) {
+  const algorithm = key => `aes-${key.length * 8}-gcm`;
+  return {
+    importKey: key => Promise.resolve().then(() => Buffer.from(key)),
+    encrypt: (key, iv, data) => Promise.resolve().then(() => {
+      const cipher = crypto.createCipheriv(algorithm(key), key, Buffer.from(iv));
+      return Buffer.concat([cipher.update(Buffer.from(data)), cipher.final(), cipher.getAuthTag()]);
+    }),
+    decrypt: (key, iv, data) => Promise.resolve().then(() => {
+      data = Buffer.from(data);
+      const decipher = crypto.createDecipheriv(algorithm(key), key, Buffer.from(iv));
+      decipher.setAuthTag(data.slice(data.length - TAG_LENGTH));
+      return Buffer.concat([decipher.update(data.slice(0, data.length - TAG_LENGTH)), decipher.final()]);
+    }),
+    randomBytes: length => crypto.randomBytes(length)
+  };
+}
+
+function defaultCipher() {
+  if (typeof window !== 'undefined' && window.crypto && window.crypto.subtle) {
+    return webCipher(window.crypto);
+  }
+
+  if (typeof process !== 'undefined' && process.versions && process.versions.node) {
+    return nodeCipher(require('crypto'));
+  }
+
+  throw new StitchError('no AES-GCM implementation is available to encrypt auth data', ErrEncryptionFailed);
+}
+
+/**
+ * Wraps a store so that values are encrypted with AES-GCM before they are
+ * written, using WebCrypto in browsers and the `crypto` module in Node.
+ * Values written before encryption was enabled are read as they are, and
+ * encrypted in place as they are read, i.e. when a client loads its auth
+ * data. Values which cannot be decrypted, e.g. as the key changed, are
+ * treated as missing.
+ *
+ * Like the stores it wraps, an EncryptedStorage implements `getItem`,
+ * `setItem`, `removeItem` and `clear`, though they always return Promises.
+ *
+ * @class
+ * @param {Object} store the store holding the encrypted values
+ * @param {Object} options encryption options
+ * @param {Function} options.getKey returns the key, or a Promise for it: 16, 24 or 32
+ * raw bytes, or a WebCrypto `CryptoKey` for AES-GCM. Called once, when the key is first needed.
+ * @return {EncryptedStorage} an EncryptedStorage instance.
+ */
+export class EncryptedStorage {
+  constructor(store, { getKey }) {
+    if (typeof getKey !== 'function') {
+      throw new StitchError('getKey must be a function', ErrInvalidArgument);
+    }
+
+    this.store = store;
+    this.getKey = getKey;
+    this._key = null;
+  }
+
+  getItem(key) {
+    return Promise.resolve()
+      .then(() => this.store.getItem(key))
+      .then(value => {
+        if (value === null || value === undefined) {
+          return value;
+        }
+
+        if (typeof value !== 'string' || value.indexOf(ENCRYPTED_VALUE_PREFIX) !== 0) {
+          return this._encryptInPlace(key, value).then(() => value);
+        }
+
+        return this._decrypt(value.substring(ENCRYPTED_VALUE_PREFIX.length))
+          .catch(e => {
+            console.error(`StitchClient: failed to decrypt auth data: ${e}`);
+            return null;
+          });
+      });
+  }
+
+  setItem(key, value) {
+    return this._encrypt(value)
+      .then(encrypted => this.store.setItem(key, `${ENCRYPTED_VALUE_PREFIX}${encrypted}`));
+  }
+
+  removeItem(key) {
+    return Promise.resolve().then(() => this.store.removeItem(key));
+  }
+
+  clear() {
+    return Promise.resolve().then(() => this.store.clear && this.store.clear());
+  }
+
+  // Encrypts a value written before encryption was enabled, unless it was
+  // changed meanwhile. Failing to do so does not fail the read.
+  _encryptInPlace(key, value) {
+    return this._encrypt(value)
+      .then(encrypted => Promise.resolve(this.store.getItem(key)).then(current => {
+        if (current === value) {
+          return this.store.setItem(key, `${ENCRYPTED_VALUE_PREFIX}${encrypted}`);
+        }
+      }))
+      .catch(e => console.error(`StitchClient: failed to encrypt auth data: ${e}`));
+  }
+
+  _encrypt(value) {
+    return this._cipher().then(({ cipher, key }) => {
+      const iv = cipher.randomBytes(IV_LENGTH);
+      return cipher.encrypt(key, iv, encodeUTF8(String(value)))
+        .then(data => `${encodeBytes(iv)}:${encodeBytes(data)}`);
+    });
+  }
+
+  _decrypt(value) {
+    const parts = value.split(':');
+    if (parts.length !== 2) {
+      return Promise.reject(new StitchError('malformed encrypted value', ErrEncryptionFailed));
+    }
+
+    return this._cipher()
+      .then(({ cipher, key }) => cipher.decrypt(key, decodeBytes(parts[0]), decodeBytes(parts[1])))
+      .then(decodeUTF8);
+  }
+
+  // Resolves to the cipher and the imported key, asking for the key only
+  // once unless that fails.
+  _cipher() {
+    if (!this._key) {
+      this._key = Promise.resolve()
+        .then(() => {
+          const cipher = defaultCipher();
+          return Promise.resolve(this.getKey())
+            .then(key => cipher.importKey(key))
+            .then(key => ({ cipher, key }));
+        });
+      this._key.catch(() => { this._key = null; });
+    }
+
+    return this._key;
+  }
+}
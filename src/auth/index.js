@@ -1,8 +1,19 @@
-/* global window, document, fetch */
+/* global window, document, fetch, BroadcastChannel */
 
 import { createStorage } from './storage';
-import { createProviders } from './providers';
-import { StitchError } from '../errors';
+import { createProviders, createOAuthProvider } from './providers';
+import {
+  StitchAuthError,
+  StitchError,
+  ErrAuthProviderNotFound,
+  ErrInvalidOperation,
+  ErrInvalidSession,
+  ErrRedirectFailed,
+  ErrUnauthorized,
+  ErrUserNotFound
+} from '../errors';
+import EventEmitter from '../emitter';
+import RefreshScheduler from './scheduler';
 import * as authCommon from './common';
 import * as common from '../common';
 
@@ -10,8 +21,35 @@ const jwtDecode = require('jwt-decode');
 
 const EMBEDDED_USER_AUTH_DATA_PARTS = 4;
 
-export default class Auth {
+// requests about the user rather than the app go to the client API (see StitchClient#_do)
+const API_TYPE_CLIENT = 'client';
+
+// the event for a login completed from a redirect or cookie, with the provider
+// logged in with if it was recorded when the login began
+const loginEvent = (userId, provider) => (provider ? { userId, provider } : { userId });
+
+/**
+ * Manages the authentication state of a client (not meant to be instantiated directly).
+ *
+ * Emits the following events, each with the affected `userId`:
+ * - `login` when a user logs in, including through a redirect or cookie
+ * - `logout` when the user logs out
+ * - `tokenRefreshed` when a new access token is obtained
+ * - `sessionInvalidated` when the session is rejected by the server and auth data is cleared
+ * - `activeUserChanged` when another logged in user is made the active user
+ * - `identityLinked` when another identity is linked to the active user
+ *
+ * and `redirectError`, with the `error`, when an OAuth redirect fails.
+ *
+ * In browsers, changes made by other tabs of the same app are picked up as
+ * well, and reported with the same events, flagged as `external`.
+ *
+ * @class
+ * @augments EventEmitter
+ */
+export default class Auth extends EventEmitter {
   constructor(client, rootUrl, options) {
+    super();
     options = Object.assign({}, {
       storageType: 'localStorage',
       codec: authCommon.APP_CLIENT_CODEC
@@ -20,24 +58,177 @@ export default class Auth {
     this.client = client;
     this.rootUrl = rootUrl;
     this.codec = options.codec;
-    this.storage = createStorage(options.storageType);
+    this.storage = createStorage(options.storageType, {
+      namespace: client ? authCommon.storageNamespace(client.type, client.clientAppID) : '',
+      store: options.storage,
+      dir: options.storageDir,
+      encryption: options.storageEncryption
+    });
+
+    // Stored auth data is only available once loaded, which happens
+    // synchronously unless a custom (asynchronous) store is used.
+    this.loaded = this.storage.loaded;
+    this.ready = this.storage.load(authCommon.AUTH_STORAGE_KEYS)
+      .catch(e => console.error(`StitchClient: failed to load auth data: ${e}`))
+      .then(() => {
+        this.loaded = true;
+      });
+
+    this._generation = 0;
+    this._pendingRefresh = null;
+    this._reauthenticators = {};
+    this._pendingReauth = null;
+    this._syncing = Promise.resolve();
     this.providers = createProviders(this);
+    this._listenForChanges();
+
+    if (options.autoRefresh) {
+      this.refreshScheduler = new RefreshScheduler(this, options.autoRefresh === true ? {} : options.autoRefresh);
+      this.ready.then(() => this.refreshScheduler.start());
+    }
   }
 
   provider(name) {
     if (!this.providers.hasOwnProperty(name)) {
-      throw new Error('Invalid auth provider specified: ' + name);
+      throw new StitchAuthError('Invalid auth provider specified: ' + name, ErrAuthProviderNotFound);
     }
 
     return this.providers[name];
   }
 
+  // Adds a provider for an OAuth2 provider configured for the app, under the
+  // name used in its `oauth2-<name>` route. Built-in providers cannot be replaced.
+  registerOAuthProvider(name) {
+    const provider = createOAuthProvider(this, name);
+    if (this.providers.hasOwnProperty(name) && !this.providers[name].registered) {
+      throw new StitchError(`Cannot replace the ${name} provider`, ErrInvalidOperation);
+    }
+
+    this.providers[name] = provider;
+  }
+
+  /**
+   * Manages the personal API keys of the active user, with which servers can
+   * log in as the user through the `apiKey` provider. The key itself is only
+   * returned when it is created.
+   *
+   * @example
+   * client.auth.userApiKeys().create('backend')
+   *   .then(apiKey => otherClient.authenticate('apiKey', apiKey.key));
+   *
+   * @returns {Object} an object with `create(name)`, `list()`, `get(keyId)`, `enable(keyId)`,
+   * `disable(keyId)` and `delete(keyId)` methods, each returning a Promise
+   */
+  userApiKeys() {
+    const userApiKeysDo = (path, method, options) =>
+      this.client._do(`/auth/api_keys${path}`, method, Object.assign({
+        apiType: API_TYPE_CLIENT,
+        useRefreshToken: true,
+        refreshOnFailure: false
+      }, options));
+    const json = response => response.json();
+
+    return {
+      create: name => userApiKeysDo('', 'POST', { body: JSON.stringify({ name }) }).then(json),
+      list: () => userApiKeysDo('', 'GET').then(json),
+      get: keyId => userApiKeysDo(`/${keyId}`, 'GET').then(json),
+      enable: keyId => userApiKeysDo(`/${keyId}/enable`, 'PUT').then(() => undefined),
+      disable: keyId => userApiKeysDo(`/${keyId}/disable`, 'PUT').then(() => undefined),
+      delete: keyId => userApiKeysDo(`/${keyId}`, 'DELETE').then(() => undefined)
+    };
+  }
+
+  // Sends a request through the client's interceptor chain, falling back
+  // to a plain fetch when this Auth has no client (e.g. in tests). With the
+  // `link` request option, a login request links the identity to the current
+  // user instead of logging in, which requires the user's access token.
+  fetch(url, fetchArgs, requestOptions) {
+    if (requestOptions && requestOptions.link) {
+      url = `${url}${url.indexOf('?') === -1 ? '?' : '&'}link=true`;
+      fetchArgs.headers.Authorization = `Bearer ${this.getAccessToken()}`;
+    }
+
+    if (!this.client) {
+      return fetch(url, fetchArgs);
+    }
+
+    return this.client._fetch(url, fetchArgs, requestOptions);
+  }
+
   refreshToken() {
     if (this.isImpersonatingUser()) {
       return this.refreshImpersonation(this.client);
     }
 
-    return this.client.doSessionPost().then(json => this.set(json));
+    return this._singleFlightRefresh(() => this.client.doSessionPost());
+  }
+
+  // Runs a token refresh unless one is already in flight, in which case the
+  // pending refresh is shared. This keeps concurrent callers from each posting
+  // a new session and overwriting each other's tokens in storage. A refresh
+  // which completes after `clear()` is discarded rather than logging back in.
+  _singleFlightRefresh(refresh) {
+    if (this._pendingRefresh) {
+      return this._pendingRefresh;
+    }
+
+    const generation = this._generation;
+    const done = () => {
+      this._pendingRefresh = null;
+    };
+
+    const pending = Promise.resolve()
+      .then(refresh)
+      .then(json => {
+        if (generation !== this._generation) {
+          return;
+        }
+
+        return this.set(json)
+          .then(() => this.emit(authCommon.TOKEN_REFRESHED_EVENT, { userId: this.authedId() }));
+      });
+
+    this._pendingRefresh = pending.then(done, e => {
+      done();
+      throw e;
+    });
+    return this._pendingRefresh;
+  }
+
+  // Registers how to log the active user in again once their session can no
+  // longer be refreshed, e.g. with a newly minted custom token. This is only
+  // kept in memory.
+  setReauthenticator(reauthenticate) {
+    const userId = this.authedId();
+    if (userId) {
+      this._reauthenticators[userId] = reauthenticate;
+    }
+  }
+
+  canReauthenticate() {
+    const userId = this.authedId();
+    return !!userId && this._reauthenticators.hasOwnProperty(userId);
+  }
+
+  // Logs the active user in again, sharing a pending login between callers.
+  reauthenticate() {
+    if (this._pendingReauth) {
+      return this._pendingReauth;
+    }
+
+    const reauthenticate = this._reauthenticators[this.authedId()];
+    const done = () => {
+      this._pendingReauth = null;
+    };
+
+    this._pendingReauth = Promise.resolve()
+      .then(reauthenticate)
+      .then(() => this.emit(authCommon.TOKEN_REFRESHED_EVENT, { userId: this.authedId() }))
+      .then(done, e => {
+        done();
+        throw e;
+      });
+    return this._pendingReauth;
   }
 
   pageRootUrl() {
@@ -65,35 +256,141 @@ export default class Auth {
       return;
     }
 
-    let ourState = this.storage.get(authCommon.STATE_KEY);
     let redirectFragment = window.location.hash.substring(1);
+    if (this._forwardRedirectToOpener(redirectFragment)) {
+      return;
+    }
+
+    const result = this.completeRedirect(redirectFragment);
+    if (!result.found) {
+      return;
+    }
+
+    if (!result.error) {
+      Promise.resolve(result.stored).then(
+        () => this.emit(result.link ? authCommon.IDENTITY_LINKED_EVENT : authCommon.LOGIN_EVENT,
+          loginEvent(this.authedId(), result.provider)),
+        e => console.error(`StitchClient: failed to store auth data from redirect: ${e}`)
+      );
+    }
+    if (result.clearFragment) {
+      window.history.replaceState(null, '', this.pageRootUrl());
+    }
+  }
+
+  /**
+   * Completes an OAuth login (or identity link) from the URL redirected back
+   * to, for apps which turn off automatic redirect handling with the client's
+   * `handleRedirects` option, e.g. because they use a hash-based router or
+   * receive the redirect as a deep link. The auth data is read from the
+   * fragment of the URL, or from its query if it has no fragment. Neither the
+   * page's location nor its history are changed.
+   *
+   * @param {String} url the URL redirected back to
+   * @returns {Promise} which resolves to null if the URL is not a redirect from Stitch, and
+   * otherwise to an object with the `userId` and whether an identity was linked (`link`), or
+   * rejects if the login failed
+   */
+  handleRedirectUrl(url) {
+    if (!this.loaded) {
+      return this.ready.then(() => this.handleRedirectUrl(url));
+    }
+
+    const hashIdx = url.indexOf('#');
+    const queryIdx = url.indexOf('?');
+    let redirectFragment = '';
+    if (hashIdx >= 0) {
+      redirectFragment = url.substring(hashIdx + 1);
+    } else if (queryIdx >= 0) {
+      redirectFragment = url.substring(queryIdx + 1);
+    }
+
+    const result = this.completeRedirect(redirectFragment);
+    if (!result.found) {
+      return Promise.resolve(null);
+    }
+
+    if (result.error) {
+      return Promise.reject(new StitchAuthError(`failed to log in: ${result.error.message || result.error}`, ErrRedirectFailed));
+    }
+
+    return Promise.resolve(result.stored).then(() => {
+      const userId = this.authedId();
+      this.emit(result.link ? authCommon.IDENTITY_LINKED_EVENT : authCommon.LOGIN_EVENT, loginEvent(userId, result.provider));
+      return { userId, link: result.link };
+    });
+  }
+
+  // Completes an OAuth login from the fragment of the redirect back from
+  // Stitch, after checking its state against the one stored when the login
+  // began. Returns whether the fragment came from Stitch at all (`found`), the
+  // `error` if the login failed, and whether to remove the fragment from the
+  // URL (`clearFragment`), whether an identity was linked to the current user
+  // rather than logged in (`link`), the `provider` logged in with, and a
+  // Promise for storing the auth data (`stored`). Does not emit a login event, but does emit a redirect error
+  // event on failure.
+  completeRedirect(redirectFragment) {
+    let ourState = this.storage.get(authCommon.STATE_KEY);
+    const provider = this.storage.get(authCommon.STATE_PROVIDER_KEY) || undefined;
     const redirectState = this.parseRedirectFragment(redirectFragment, ourState);
+    const fail = (message, error, clearFragment = true) => {
+      console.error(`StitchClient: ${message}`);
+      this.emit(authCommon.REDIRECT_ERROR_EVENT, { error });
+      return { found: true, error, clearFragment };
+    };
+
     if (redirectState.lastError) {
-      console.error(`StitchClient: error from redirect: ${redirectState.lastError}`);
       this._error = redirectState.lastError;
-      window.history.replaceState(null, '', this.pageRootUrl());
-      return;
+      return fail(`error from redirect: ${redirectState.lastError}`, redirectState.lastError);
     }
 
     if (!redirectState.found) {
-      return;
+      return { found: false };
     }
 
     this.storage.remove(authCommon.STATE_KEY);
+    this.storage.remove(authCommon.STATE_PROVIDER_KEY);
     if (!redirectState.stateValid) {
-      console.error('StitchClient: state values did not match!');
-      window.history.replaceState(null, '', this.pageRootUrl());
-      return;
+      return fail('state values did not match!', new StitchAuthError('state values did not match', ErrRedirectFailed));
+    }
+
+    if (!redirectState.ua && redirectState.link) {
+      // linking an identity to the user may leave their tokens as they are
+      return { found: true, link: true, clearFragment: true };
     }
 
     if (!redirectState.ua) {
-      console.error('StitchClient: no UA value was returned from redirect!');
-      return;
+      return fail('no UA value was returned from redirect!', new StitchAuthError('no UA value was returned from redirect', ErrRedirectFailed), false);
     }
 
-    // If we get here, the state is valid - set auth appropriately.
-    this.set(redirectState.ua);
-    window.history.replaceState(null, '', this.pageRootUrl());
+    // If we get here, the state is valid - set auth appropriately. A linked
+    // identity leaves the provider the user logged in with as it is.
+    const writes = [this.set(redirectState.ua)];
+    if (!redirectState.link && provider) {
+      writes.push(this.setProvider(provider));
+    }
+    const stored = Promise.all(writes);
+    return { found: true, link: redirectState.link, provider: redirectState.link ? undefined : provider, clearFragment: true, stored };
+  }
+
+  // In a popup opened by a popup login, hands the redirect over to the page
+  // which opened it, as that page holds the state to check it against, and
+  // closes the popup. Returns whether the redirect was handed over.
+  _forwardRedirectToOpener(redirectFragment) {
+    if (window.name !== authCommon.OAUTH_POPUP_WINDOW_NAME || !window.opener || window.opener === window) {
+      return false;
+    }
+
+    const origin = `${window.location.protocol}//${window.location.host}`;
+    try {
+      window.opener.postMessage({ type: authCommon.OAUTH_POPUP_MESSAGE_TYPE, fragment: redirectFragment }, origin);
+    } catch (e) {
+      // the opener is gone, so complete the login in this window instead
+      return false;
+    }
+
+    window.close();
+    return true;
   }
 
   getCookie(name) {
@@ -129,14 +426,116 @@ export default class Auth {
 
     document.cookie = `${authCommon.USER_AUTH_COOKIE_NAME}=; Path=/; Expires=Thu, 01 Jan 1970 00:00:00 GMT;`;
     const userAuth = this.unmarshallUserAuth(uaCookie);
+    const provider = this.storage.get(authCommon.STATE_PROVIDER_KEY) || undefined;
+    this.storage.remove(authCommon.STATE_PROVIDER_KEY);
     this.set(userAuth);
+    if (provider) {
+      this.setProvider(provider);
+    }
+    this.emit(authCommon.LOGIN_EVENT, loginEvent(this.authedId(), provider));
     window.history.replaceState(null, '', this.pageRootUrl());
   }
 
   clear() {
-    this.storage.remove(authCommon.USER_AUTH_KEY);
-    this.storage.remove(authCommon.REFRESH_TOKEN_KEY);
-    this.clearImpersonation();
+    // not authedId(), which clears malformed auth data itself
+    delete this._reauthenticators[this._parseUserAuth(this.storage.get(authCommon.USER_AUTH_KEY)).userId];
+    this._generation++;
+    this._pendingRefresh = null;
+    if (this.refreshScheduler) {
+      this.refreshScheduler.cancel();
+    }
+    return Promise.all([
+      this.storage.remove(authCommon.USER_AUTH_KEY),
+      this.storage.remove(authCommon.REFRESH_TOKEN_KEY),
+      this.clearImpersonation()
+    ]);
+  }
+
+  // Clears auth data and notifies listeners with the given event of the user
+  // who is no longer logged in.
+  invalidate(event) {
+    const userId = this.authedId();
+    const cleared = this.clear();
+    if (userId) {
+      this.emit(event, { userId });
+    }
+    return cleared;
+  }
+
+  // Listens for auth data changed by other tabs, through `storage` events for
+  // web storage, and a BroadcastChannel for asynchronous stores.
+  _listenForChanges() {
+    if (typeof window === 'undefined' || !window.addEventListener) {
+      return;
+    }
+
+    window.addEventListener('storage', event => {
+      const key = event.key === null ? null : this.storage.localKey(event.key);
+      if (key !== null && authCommon.AUTH_STORAGE_KEYS.indexOf(key) < 0) {
+        return;
+      }
+
+      if (this.storage.cached) {
+        this._sync(key === null ? authCommon.AUTH_STORAGE_KEYS : [key]);
+        return;
+      }
+
+      // web storage is read directly, so it already holds the new value; the
+      // event tells what the value was before
+      if (key === authCommon.USER_AUTH_KEY) {
+        this._sync([], this._parseUserAuth(event.oldValue));
+      }
+    });
+
+    if (!this.storage.cached || typeof BroadcastChannel === 'undefined') {
+      return;
+    }
+
+    const channel = new BroadcastChannel(this.storage.namespace || '_stitch');
+    channel.onmessage = event => this._sync(event.data.keys);
+    this.storage.onWrite = key => channel.postMessage({ keys: [key] });
+  }
+
+  // Reloads the given keys after another tab changed them, and notifies
+  // listeners if the active user or their access token changed as a result.
+  // The user auth before the change is read from storage unless given.
+  _sync(keys, previousUserAuth) {
+    const current = () => this._parseUserAuth(this.storage.get(authCommon.USER_AUTH_KEY));
+
+    this._syncing = this._syncing.then(() => {
+      const before = previousUserAuth || current();
+      return this.storage.reload(keys).then(() => {
+        const after = current();
+        if (before.userId !== after.userId) {
+          // a refresh started for the previous user must not overwrite the new one
+          this._generation++;
+          this._pendingRefresh = null;
+        }
+
+        if (!after.userId) {
+          if (before.userId) {
+            this.emit(authCommon.LOGOUT_EVENT, { userId: before.userId, external: true });
+          }
+        } else if (!before.userId) {
+          this.emit(authCommon.LOGIN_EVENT, { userId: after.userId, external: true });
+        } else if (before.userId !== after.userId) {
+          this.emit(authCommon.ACTIVE_USER_CHANGED_EVENT, { userId: after.userId, external: true });
+        } else if (before.accessToken !== after.accessToken) {
+          this.emit(authCommon.TOKEN_REFRESHED_EVENT, { userId: after.userId, external: true });
+        }
+      });
+    }).catch(e => console.error(`StitchClient: failed to sync auth data: ${e}`));
+
+    return this._syncing;
+  }
+
+  // Parses stored user auth, treating malformed data as missing.
+  _parseUserAuth(data) {
+    try {
+      return (data && JSON.parse(data)) || {};
+    } catch (e) {
+      return {};
+    }
   }
 
   getDeviceId() {
@@ -146,23 +545,34 @@ export default class Auth {
   // Returns whether or not the access token is expired or is going to expire within 'withinSeconds'
   // seconds, according to current system time. Returns false if the token is malformed in any way.
   isAccessTokenExpired(withinSeconds = authCommon.DEFAULT_ACCESS_TOKEN_EXPIRE_WITHIN_SECS) {
+    const expiresAt = this.getAccessTokenExpiration();
+    return !!expiresAt && Math.floor(Date.now() / 1000) >= expiresAt / 1000 - withinSeconds;
+  }
+
+  // Returns when the access token expires, in milliseconds since the epoch,
+  // or null if there is no access token or it does not expire.
+  getAccessTokenExpiration() {
+    const claims = this.getAccessTokenClaims();
+    if (!claims || !claims.exp) {
+      return null;
+    }
+
+    return claims.exp * 1000;
+  }
+
+  // Returns the decoded claims of the access token, or null if there is no
+  // access token or it is not a JWT.
+  getAccessTokenClaims() {
     let token = this.getAccessToken();
     if (!token) {
-      return false;
+      return null;
     }
 
-    let decodedToken;
     try {
-      decodedToken = jwtDecode(token);
+      return jwtDecode(token) || null;
     } catch (e) {
-      return false;
-    }
-
-    if (!decodedToken) {
-      return false;
+      return null;
     }
-
-    return decodedToken.exp && Math.floor(Date.now() / 1000) >= decodedToken.exp - withinSeconds;
   }
 
   getAccessToken() {
@@ -173,21 +583,34 @@ export default class Auth {
     return this.storage.get(authCommon.REFRESH_TOKEN_KEY);
   }
 
+  // Stores the auth data in the given server response. Returns a Promise which
+  // resolves once the data is persisted, though it is readable immediately.
   set(json) {
     if (!json) {
-      return;
+      return Promise.resolve();
+    }
+
+    const writes = [];
+
+    // a login as a different user keeps the current user logged in, but
+    // no longer active
+    const userId = json[this.codec.userId];
+    const activeUserId = this.authedId();
+    if (userId && activeUserId && userId !== activeUserId && !this.isImpersonatingUser()) {
+      writes.push(this._deactivateUser());
     }
+    writes.push(this._removeInactiveUser(userId));
 
     if (json[this.codec.refreshToken]) {
       let rt = json[this.codec.refreshToken];
       delete json[this.codec.refreshToken];
-      this.storage.set(authCommon.REFRESH_TOKEN_KEY, rt);
+      writes.push(this.storage.set(authCommon.REFRESH_TOKEN_KEY, rt));
     }
 
     if (json[this.codec.deviceId]) {
       const deviceId = json[this.codec.deviceId];
       delete json[this.codec.deviceId];
-      this.storage.set(authCommon.DEVICE_ID_KEY, deviceId);
+      writes.push(this.storage.set(authCommon.DEVICE_ID_KEY, deviceId));
     }
 
     // Merge in new fields with old fields. Typically the first json value
@@ -203,7 +626,8 @@ export default class Auth {
       newUserAuth.userId = json[this.codec.userId];
     }
     newUserAuth = Object.assign(this._get(), newUserAuth);
-    this.storage.set(authCommon.USER_AUTH_KEY, JSON.stringify(newUserAuth));
+    writes.push(this.storage.set(authCommon.USER_AUTH_KEY, JSON.stringify(newUserAuth)));
+    return Promise.all(writes);
   }
 
   _get() {
@@ -218,7 +642,7 @@ export default class Auth {
       // Need to back out and clear auth otherwise we will never
       // be able to do anything useful.
       this.clear();
-      throw new StitchError('Failure retrieving stored auth');
+      throw new StitchAuthError('Failure retrieving stored auth', ErrInvalidSession);
     }
   }
 
@@ -226,55 +650,187 @@ export default class Auth {
     return this._get().userId;
   }
 
+  // Records the provider the active user logged in with.
+  setProvider(provider) {
+    const userAuth = this._get();
+    if (!userAuth.userId) {
+      return Promise.resolve();
+    }
+
+    userAuth.provider = provider;
+    return Promise.resolve(this.storage.set(authCommon.USER_AUTH_KEY, JSON.stringify(userAuth)));
+  }
+
+  getProvider() {
+    return this._get().provider;
+  }
+
+  // Returns every logged in user, starting with the active user if any.
+  listUsers() {
+    const users = this._getInactiveUsers();
+    const result = Object.keys(users).map(userId => ({
+      userId,
+      provider: users[userId].userAuth.provider,
+      isActive: false
+    }));
+
+    const userAuth = this._get();
+    if (userAuth.userId) {
+      result.unshift({ userId: userAuth.userId, provider: userAuth.provider, isActive: true });
+    }
+
+    return result;
+  }
+
+  // Makes the given logged in user the active user.
+  switchUser(userId) {
+    if (this.authedId() === userId) {
+      return Promise.resolve();
+    }
+
+    if (this.isImpersonatingUser()) {
+      throw new StitchError('Cannot switch users while impersonating a user', ErrInvalidOperation);
+    }
+
+    const user = this._getInactiveUsers()[userId];
+    if (!user) {
+      throw new StitchAuthError(`No logged in user with ID ${userId}`, ErrUserNotFound);
+    }
+
+    const writes = [
+      this._deactivateUser(),
+      this._removeInactiveUser(userId),
+      this.storage.set(authCommon.USER_AUTH_KEY, JSON.stringify(user.userAuth))
+    ];
+    if (user.refreshToken) {
+      writes.push(this.storage.set(authCommon.REFRESH_TOKEN_KEY, user.refreshToken));
+    }
+
+    this.emit(authCommon.ACTIVE_USER_CHANGED_EVENT, { userId });
+    return Promise.all(writes);
+  }
+
+  getInactiveUser(userId) {
+    return this._getInactiveUsers()[userId];
+  }
+
+  // Forgets a logged in user who is not the active user.
+  removeInactiveUser(userId) {
+    if (!this.getInactiveUser(userId)) {
+      return Promise.resolve();
+    }
+
+    const removed = this._removeInactiveUser(userId);
+    this.emit(authCommon.LOGOUT_EVENT, { userId });
+    return removed;
+  }
+
+  _getInactiveUsers() {
+    const data = this.storage.get(authCommon.USERS_KEY);
+    if (!data) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(data);
+    } catch (e) {
+      this.storage.remove(authCommon.USERS_KEY);
+      return {};
+    }
+  }
+
+  _setInactiveUsers(users) {
+    if (Object.keys(users).length === 0) {
+      return this.storage.remove(authCommon.USERS_KEY);
+    }
+
+    return this.storage.set(authCommon.USERS_KEY, JSON.stringify(users));
+  }
+
+  _removeInactiveUser(userId) {
+    const users = this._getInactiveUsers();
+    if (!userId || !users[userId]) {
+      return Promise.resolve();
+    }
+
+    delete users[userId];
+    return Promise.resolve(this._setInactiveUsers(users));
+  }
+
+  // Moves the active user, if any, to the inactive users.
+  _deactivateUser() {
+    const userAuth = this._get();
+    if (!userAuth.userId) {
+      return Promise.resolve();
+    }
+
+    const users = this._getInactiveUsers();
+    users[userAuth.userId] = { userAuth, refreshToken: this.getRefreshToken() };
+
+    this._generation++;
+    this._pendingRefresh = null;
+    return Promise.all([
+      this._setInactiveUsers(users),
+      this.storage.remove(authCommon.USER_AUTH_KEY),
+      this.storage.remove(authCommon.REFRESH_TOKEN_KEY)
+    ]);
+  }
+
   isImpersonatingUser() {
     return this.storage.get(authCommon.IMPERSONATION_ACTIVE_KEY) === 'true';
   }
 
   refreshImpersonation(client) {
     let userId = this.storage.get(authCommon.IMPERSONATION_USER_KEY);
-    return client._do(`/admin/users/${userId}/impersonate`, 'POST', { refreshOnFailure: false, useRefreshToken: true })
-      .then(response => response.json())
-      .then(json => this.set(json))
+    return this._singleFlightRefresh(() =>
+      client._do(`/admin/users/${userId}/impersonate`, 'POST', { refreshOnFailure: false, useRefreshToken: true })
+        .then(response => response.json())
+    )
       .catch(e => {
-        this.stopImpersonation();
+        if (this.isImpersonatingUser()) {
+          this.stopImpersonation();
+        }
         throw e;  // rethrow
       });
   }
 
   startImpersonation(client, userId) {
     if (!this.authedId()) {
-      return Promise.reject(new StitchError('Must auth first'));
+      return Promise.reject(new StitchAuthError('Must auth first', ErrUnauthorized));
     }
 
     if (this.isImpersonatingUser()) {
-      return Promise.reject(new StitchError('Already impersonating a user'));
+      return Promise.reject(new StitchError('Already impersonating a user', ErrInvalidOperation));
     }
 
-    this.storage.set(authCommon.IMPERSONATION_ACTIVE_KEY, 'true');
-    this.storage.set(authCommon.IMPERSONATION_USER_KEY, userId);
-
     let realUserAuth = JSON.parse(this.storage.get(authCommon.USER_AUTH_KEY));
-    this.storage.set(authCommon.IMPERSONATION_REAL_USER_AUTH_KEY, JSON.stringify(realUserAuth));
-    return this.refreshImpersonation(client);
+    return Promise.all([
+      this.storage.set(authCommon.IMPERSONATION_ACTIVE_KEY, 'true'),
+      this.storage.set(authCommon.IMPERSONATION_USER_KEY, userId),
+      this.storage.set(authCommon.IMPERSONATION_REAL_USER_AUTH_KEY, JSON.stringify(realUserAuth))
+    ])
+      .then(() => this.refreshImpersonation(client));
   }
 
   stopImpersonation() {
     if (!this.isImpersonatingUser()) {
-      throw new StitchError('Not impersonating a user');
+      throw new StitchError('Not impersonating a user', ErrInvalidOperation);
     }
 
     return new Promise((resolve, reject) => {
       let realUserAuth = JSON.parse(this.storage.get(authCommon.IMPERSONATION_REAL_USER_AUTH_KEY));
-      this.set(realUserAuth);
-      this.clearImpersonation();
-      resolve();
+      const restored = this.set(realUserAuth);
+      Promise.all([restored, this.clearImpersonation()])
+        .then(() => resolve(), reject);
     });
   }
 
   clearImpersonation() {
-    this.storage.remove(authCommon.IMPERSONATION_ACTIVE_KEY);
-    this.storage.remove(authCommon.IMPERSONATION_USER_KEY);
-    this.storage.remove(authCommon.IMPERSONATION_REAL_USER_AUTH_KEY);
+    return Promise.all([
+      this.storage.remove(authCommon.IMPERSONATION_ACTIVE_KEY),
+      this.storage.remove(authCommon.IMPERSONATION_USER_KEY),
+      this.storage.remove(authCommon.IMPERSONATION_REAL_USER_AUTH_KEY)
+    ]);
   }
 
   parseRedirectFragment(fragment, ourState) {
@@ -283,7 +839,7 @@ export default class Auth {
     // This function parses out stitch-specific tokens from the fragment and
     // builds an object describing the result.
     const vars = fragment.split('&');
-    const result = { ua: null, found: false, stateValid: false, lastError: null };
+    const result = { ua: null, found: false, stateValid: false, lastError: null, link: false };
     let shouldBreak = false;
     for (let i = 0; i < vars.length && !shouldBreak; ++i) {
       const pairParts = vars[i].split('=');
@@ -304,6 +860,7 @@ export default class Auth {
         continue;
       case authCommon.STITCH_LINK_KEY:
         result.found = true;
+        result.link = true;
         continue;
       case authCommon.STATE_KEY:
         result.found = true;
@@ -322,7 +879,7 @@ export default class Auth {
   unmarshallUserAuth(data) {
     let parts = data.split('$');
     if (parts.length !== EMBEDDED_USER_AUTH_DATA_PARTS) {
-      throw new RangeError('invalid user auth data provided: ' + data);
+      throw new StitchAuthError('invalid user auth data provided', ErrRedirectFailed);
     }
 
     return {
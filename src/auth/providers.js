@@ -2,6 +2,20 @@
 import * as common from '../common';
 import * as authCommon from './common';
 import { getPlatform, uriEncodeObject } from '../util';
+import {
+  StitchError,
+  StitchAuthError,
+  ErrAuthProviderNotFound,
+  ErrInvalidArgument,
+  ErrPopupBlocked,
+  ErrPopupClosed,
+  ErrRedirectFailed,
+  ErrRequestAborted,
+  ErrRequestTimeout
+} from '../errors';
+
+// Rejects failed logins, and other failed auth requests, with a StitchAuthError.
+const checkStatus = response => common.checkStatus(response, StitchAuthError);
 
 /**
  * Create the device info for this client.
@@ -39,15 +53,17 @@ function anonProvider(auth) {
      *
      * @memberof anonProvider
      * @instance
+     * @param {Object} [options] additional authentication options
+     * @param {Object} [requestOptions] request options such as `timeoutMS` or `signal` (see `StitchClient.withRequestOptions`)
      * @returns {Promise} a promise that resolves when authentication succeeds.
      */
-    authenticate: () => {
+    authenticate: (options, requestOptions) => {
       const device = getDeviceInfo(auth.getDeviceId(), !!auth.client && auth.client.clientAppID);
       const fetchArgs = common.makeFetchArgs('GET');
       fetchArgs.cors = true;
 
-      return fetch(`${auth.rootUrl}/providers/anon-user/login?device=${uriEncodeObject(device)}`, fetchArgs)
-        .then(common.checkStatus)
+      return auth.fetch(`${auth.rootUrl}/providers/anon-user/login?device=${uriEncodeObject(device)}`, fetchArgs, requestOptions)
+        .then(checkStatus)
         .then(response => response.json())
         .then(json => auth.set(json));
     }
@@ -69,9 +85,10 @@ function userPassProvider(auth) {
      * @instance
      * @param {String} username the username to use for authentication
      * @param {String} password the password to use for authentication
+     * @param {Object} [requestOptions] request options such as `timeoutMS` or `signal` (see `StitchClient.withRequestOptions`)
      * @returns {Promise} a promise that resolves when authentication succeeds.
      */
-    authenticate: ({ username, password }) => {
+    authenticate: ({ username, password }, requestOptions) => {
       const device = getDeviceInfo(auth.getDeviceId(), !!auth.client && auth.client.clientAppID);
 
       const fetchArgs = common.makeFetchArgs(
@@ -80,8 +97,8 @@ function userPassProvider(auth) {
       );
       fetchArgs.cors = true;
 
-      return fetch(`${auth.rootUrl}/${loginRoute}`, fetchArgs)
-        .then(common.checkStatus)
+      return auth.fetch(`${auth.rootUrl}/${loginRoute}`, fetchArgs, requestOptions)
+        .then(checkStatus)
         .then(response => response.json())
         .then(json => auth.set(json));
     },
@@ -92,14 +109,15 @@ function userPassProvider(auth) {
      * @instance
      * @param {String} tokenId the tokenId provided by the stitch server
      * @param {String} token the token provided by the stitch server
+     * @param {Object} [requestOptions] request options such as `timeoutMS` or `signal` (see `StitchClient.withRequestOptions`)
      * @returns {Promise}
      */
-    emailConfirm: (tokenId, token) => {
+    emailConfirm: (tokenId, token, requestOptions) => {
       const fetchArgs = common.makeFetchArgs('POST', JSON.stringify({ tokenId, token }));
       fetchArgs.cors = true;
 
-      return fetch(`${auth.rootUrl}/${providerRoute}/confirm`, fetchArgs)
-        .then(common.checkStatus)
+      return auth.fetch(`${auth.rootUrl}/${providerRoute}/confirm`, fetchArgs, requestOptions)
+        .then(checkStatus)
         .then(response => response.json());
     },
 
@@ -110,14 +128,15 @@ function userPassProvider(auth) {
      * @memberof userPassProvider
      * @instance
      * @param {String} email the email to send a confirmation email for
+     * @param {Object} [requestOptions] request options such as `timeoutMS` or `signal` (see `StitchClient.withRequestOptions`)
      * @returns {Promise}
      */
-    sendEmailConfirm: (email) => {
+    sendEmailConfirm: (email, requestOptions) => {
       const fetchArgs = common.makeFetchArgs('POST', JSON.stringify({ email }));
       fetchArgs.cors = true;
 
-      return fetch(`${auth.rootUrl}/${providerRoute}/confirm/send`, fetchArgs)
-        .then(common.checkStatus)
+      return auth.fetch(`${auth.rootUrl}/${providerRoute}/confirm/send`, fetchArgs, requestOptions)
+        .then(checkStatus)
         .then(response => response.json());
     },
 
@@ -127,14 +146,15 @@ function userPassProvider(auth) {
      * @memberof userPassProvider
      * @instance
      * @param {String} email the email of the account to reset the password for
+     * @param {Object} [requestOptions] request options such as `timeoutMS` or `signal` (see `StitchClient.withRequestOptions`)
      * @returns {Promise}
      */
-    sendPasswordReset: (email) => {
+    sendPasswordReset: (email, requestOptions) => {
       const fetchArgs = common.makeFetchArgs('POST', JSON.stringify({ email }));
       fetchArgs.cors = true;
 
-      return fetch(`${auth.rootUrl}/${providerRoute}/reset/send`, fetchArgs)
-        .then(common.checkStatus)
+      return auth.fetch(`${auth.rootUrl}/${providerRoute}/reset/send`, fetchArgs, requestOptions)
+        .then(checkStatus)
         .then(response => response.json());
     },
 
@@ -147,15 +167,16 @@ function userPassProvider(auth) {
      * @param {String} tokenId the tokenId provided by the stitch server
      * @param {String} token the token provided by the stitch server
      * @param {String} password the new password requested for this account
+     * @param {Object} [requestOptions] request options such as `timeoutMS` or `signal` (see `StitchClient.withRequestOptions`)
      * @returns {Promise}
      */
-    passwordReset: (tokenId, token, password) => {
+    passwordReset: (tokenId, token, password, requestOptions) => {
       const fetchArgs =
         common.makeFetchArgs('POST', JSON.stringify({ tokenId, token, password }));
       fetchArgs.cors = true;
 
-      return fetch(`${auth.rootUrl}/${providerRoute}/reset`, fetchArgs)
-        .then(common.checkStatus)
+      return auth.fetch(`${auth.rootUrl}/${providerRoute}/reset`, fetchArgs, requestOptions)
+        .then(checkStatus)
         .then(response => response.json());
     },
 
@@ -169,14 +190,15 @@ function userPassProvider(auth) {
      * @instance
      * @param {String} email the requested email for the account
      * @param {String} password the requested password for the account
+     * @param {Object} [requestOptions] request options such as `timeoutMS` or `signal` (see `StitchClient.withRequestOptions`)
      * @returns {Promise}
      */
-    register: (email, password) => {
+    register: (email, password, requestOptions) => {
       const fetchArgs = common.makeFetchArgs('POST', JSON.stringify({ email, password }));
       fetchArgs.cors = true;
 
-      return fetch(`${auth.rootUrl}/${providerRoute}/register`, fetchArgs)
-        .then(common.checkStatus)
+      return auth.fetch(`${auth.rootUrl}/${providerRoute}/register`, fetchArgs, requestOptions)
+        .then(checkStatus)
         .then(response => response.json());
     }
   };
@@ -190,14 +212,20 @@ function apiKeyProvider(auth) {
 
   return {
     /**
-     * Login to a stitch application using an api key
+     * Login to a stitch application using an api key, either a server API key
+     * of the app or a user API key (see `Auth#userApiKeys`)
      *
      * @memberof apiKeyProvider
      * @instance
-     * @param {String} key the key for authentication
+     * @param {String|Object} key the key for authentication, or an object with the key as `key`
+     * @param {Object} [requestOptions] request options such as `timeoutMS` or `signal` (see `StitchClient.withRequestOptions`)
      * @returns {Promise} a promise that resolves when authentication succeeds.
      */
-    authenticate: key => {
+    authenticate: (key, requestOptions) => {
+      if (key && typeof key === 'object') {
+        key = key.key;
+      }
+
       const device = getDeviceInfo(auth.getDeviceId(), !!auth.client && auth.client.clientAppID);
       const fetchArgs = common.makeFetchArgs(
         'POST',
@@ -205,14 +233,64 @@ function apiKeyProvider(auth) {
       );
       fetchArgs.cors = true;
 
-      return fetch(`${auth.rootUrl}/${loginRoute}`, fetchArgs)
-        .then(common.checkStatus)
+      return auth.fetch(`${auth.rootUrl}/${loginRoute}`, fetchArgs, requestOptions)
+        .then(checkStatus)
         .then(response => response.json())
         .then(json => auth.set(json));
     }
   };
 }
 
+/** @namespace */
+function customTokenProvider(auth) {
+  const loginRoute = 'providers/custom-token/login';
+
+  const login = (token, requestOptions) => {
+    const device = getDeviceInfo(auth.getDeviceId(), !!auth.client && auth.client.clientAppID);
+    const fetchArgs = common.makeFetchArgs(
+      'POST',
+      JSON.stringify({ token, 'options': { device } })
+    );
+    fetchArgs.cors = true;
+
+    return auth.fetch(`${auth.rootUrl}/${loginRoute}`, fetchArgs, requestOptions)
+      .then(checkStatus)
+      .then(response => response.json())
+      .then(json => auth.set(json));
+  };
+
+  return {
+    /**
+     * Login to a stitch application using a JWT signed by your own identity
+     * service. Given a `getToken` function, the user is logged in again with
+     * a token it returns whenever their session can no longer be refreshed,
+     * so that rotated tokens are picked up.
+     *
+     * @memberof customTokenProvider
+     * @instance
+     * @param {String|Object} data the JWT, or an object with either the JWT as `token`,
+     * or a `getToken` function returning the (Promise for the) current JWT
+     * @param {Object} [requestOptions] request options such as `timeoutMS` or `signal` (see `StitchClient.withRequestOptions`)
+     * @returns {Promise} a promise that resolves when authentication succeeds.
+     */
+    authenticate: (data, requestOptions) => {
+      const getToken = (data && typeof data.getToken === 'function') ? data.getToken : null;
+      const token = (typeof data === 'string') ? data : (data && data.token);
+      if (!getToken && !token) {
+        return Promise.reject(new StitchError('a token or a getToken function is required', ErrInvalidArgument));
+      }
+
+      return Promise.resolve(getToken ? getToken() : token)
+        .then(currentToken => login(currentToken, requestOptions))
+        .then(() => {
+          if (getToken) {
+            auth.setReauthenticator(() => Promise.resolve(getToken()).then(currentToken => login(currentToken)));
+          }
+        });
+    }
+  };
+}
+
 // The state we generate is to be used for any kind of request where we will
 // complete an authentication flow via a redirect. We store the generate in
 // a local storage bound to the app's origin. This ensures that any time we
@@ -231,36 +309,257 @@ function generateState() {
   return state;
 }
 
-function getOAuthLoginURL(auth, providerName, redirectUrl) {
+// Resolves to the login URL once the state is persisted, as the page is
+// unloaded as soon as the login URL is visited. Linking an identity to the
+// current user requires their access token, which cannot be sent along when
+// visiting a URL, so Stitch is asked for the URL to visit instead.
+function getOAuthLoginURL(auth, providerName, redirectUrl, requestOptions) {
   if (redirectUrl === undefined) {
     redirectUrl = auth.pageRootUrl();
   }
 
   const state = generateState();
-  auth.storage.set(authCommon.STATE_KEY, state);
+  const linking = !!requestOptions && !!requestOptions.link;
+
+  // the provider is recorded for the user once the redirect back completes
+  // the login, as the page may be unloaded before `addUser` records it
+  const stored = Promise.all([
+    auth.storage.set(authCommon.STATE_KEY, state),
+    linking ?
+      auth.storage.remove(authCommon.STATE_PROVIDER_KEY) :
+      auth.storage.set(authCommon.STATE_PROVIDER_KEY, providerName)
+  ]);
 
   const device = getDeviceInfo(auth.getDeviceId(), !!auth.client && auth.client.clientAppID);
 
   const result = `${auth.rootUrl}/providers/oauth2-${providerName}/login?redirect=${encodeURI(redirectUrl)}&state=${state}&device=${uriEncodeObject(device)}`;
-  return result;
+  if (!linking) {
+    return stored.then(() => result);
+  }
+
+  return stored
+    .then(() => auth.fetch(`${result}&providerRedirectHeader=true`, common.makeFetchArgs('GET'), requestOptions))
+    .then(checkStatus)
+    .then(response => {
+      const location = response.headers.get(authCommon.STITCH_LOCATION_HEADER);
+      if (!location) {
+        throw new StitchAuthError('no login URL was returned to link the identity', ErrRedirectFailed);
+      }
+
+      return location;
+    });
+}
+
+// Logs in through a popup window which visits the login URL, and ends up back
+// on this origin with the auth data in its fragment. The fragment is received
+// from the popup via postMessage, or failing that by polling its location.
+// Resolves to the ID of the logged in user.
+function popupLogin(auth, providerName, redirectUrl, requestOptions) {
+  // the popup must be opened right away, as browsers block popups not opened
+  // in direct response to a user action
+  const popup = window.open('', authCommon.OAUTH_POPUP_WINDOW_NAME, 'width=500,height=600');
+  if (!popup) {
+    return Promise.reject(new StitchAuthError('failed to open a popup window to log in', ErrPopupBlocked));
+  }
+
+  return getOAuthLoginURL(auth, providerName, redirectUrl, requestOptions)
+    .then(url => new Promise((resolve, reject) => {
+      const origin = `${window.location.protocol}//${window.location.host}`;
+      let poller;
+      let onMessage;
+
+      const finish = fragment => {
+        clearInterval(poller);
+        window.removeEventListener('message', onMessage);
+        if (!popup.closed) {
+          popup.close();
+        }
+
+        if (fragment === null) {
+          reject(new StitchAuthError('the login popup was closed', ErrPopupClosed));
+          return;
+        }
+
+        const result = auth.completeRedirect(fragment);
+        if (result.error) {
+          reject(new StitchAuthError(`failed to log in: ${result.error.message || result.error}`, ErrRedirectFailed));
+          return;
+        }
+
+        resolve(Promise.resolve(result.stored).then(() => auth.authedId()));
+      };
+
+      onMessage = event => {
+        if (event.origin === origin && event.source === popup &&
+            event.data && event.data.type === authCommon.OAUTH_POPUP_MESSAGE_TYPE) {
+          finish(event.data.fragment);
+        }
+      };
+      window.addEventListener('message', onMessage);
+
+      poller = setInterval(() => {
+        if (popup.closed) {
+          finish(null);
+          return;
+        }
+
+        let hash;
+        try {
+          hash = popup.location.hash;
+        } catch (e) {
+          // still on another origin
+          return;
+        }
+
+        if (hash && auth.parseRedirectFragment(hash.substring(1)).found) {
+          finish(hash.substring(1));
+        }
+      }, authCommon.OAUTH_POPUP_POLL_INTERVAL_MS);
+
+      popup.location.href = url;
+    }));
+}
+
+// The page served by a loopback login to the browser redirected back from
+// Stitch. The auth data is in the fragment, which browsers do not send to the
+// server, so the page passes it on as the query of a second request.
+const LOOPBACK_REDIRECT_PAGE = `<!DOCTYPE html>
+<html><body><script>
+window.location.replace('/callback?' + window.location.hash.substring(1));
+</script></body></html>`;
+
+// Logs in outside of a browser, e.g. in Node or Electron, by listening on a
+// local port for the redirect back from Stitch. The login URL is handed to
+// `data.openUrl`, which should open it in a browser. Resolves to the ID of the
+// logged in user. The wait is given up on after `data.timeoutMS` (or else the
+// `timeoutMS` request option), or once the `signal` request option is aborted.
+function loopbackLogin(auth, providerName, data, requestOptions = {}) {
+  if (typeof data.openUrl !== 'function') {
+    return Promise.reject(new StitchError('openUrl must be a function', ErrInvalidArgument));
+  }
+
+  const { signal } = requestOptions;
+  const aborted = () => new StitchAuthError('the login was aborted', ErrRequestAborted);
+  if (signal && signal.aborted) {
+    return Promise.reject(aborted());
+  }
+
+  const http = require('http');
+  return new Promise((resolve, reject) => {
+    let timer;
+    const server = http.createServer((request, response) => {
+      const [path, query = ''] = request.url.split('?');
+      if (path === '/') {
+        response.writeHead(200, { 'Content-Type': 'text/html' });
+        response.end(LOOPBACK_REDIRECT_PAGE);
+        return;
+      }
+
+      if (path !== '/callback') {
+        response.writeHead(404);
+        response.end();
+        return;
+      }
+
+      const result = auth.completeRedirect(query);
+      if (!result.found) {
+        response.writeHead(400, { 'Content-Type': 'text/plain' });
+        response.end('No login response was received.');
+        return;
+      }
+
+      response.writeHead(200, { 'Content-Type': 'text/plain' });
+      const failed = error => {
+        response.end('Failed to log in. You may close this window.');
+        finish(error);
+      };
+      if (result.error) {
+        failed(new StitchAuthError(`failed to log in: ${result.error.message || result.error}`, ErrRedirectFailed));
+        return;
+      }
+
+      Promise.resolve(result.stored).then(() => {
+        response.end('Logged in. You may close this window.');
+        finish(null, auth.authedId());
+      }, failed);
+    });
+
+    const onAbort = () => finish(aborted());
+    const finish = (error, userId) => {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      server.close();
+      if (error) {
+        reject(error);
+      } else {
+        resolve(userId);
+      }
+    };
+
+    timer = setTimeout(
+      () => finish(new StitchAuthError('timed out waiting for the login to complete', ErrRequestTimeout)),
+      data.timeoutMS || requestOptions.timeoutMS || authCommon.OAUTH_LOOPBACK_TIMEOUT_MS
+    );
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
+
+    server.on('error', finish);
+    server.listen(data.port || 0, '127.0.0.1', () => {
+      const redirectUrl = `http://127.0.0.1:${server.address().port}/`;
+      getOAuthLoginURL(auth, providerName, redirectUrl, requestOptions)
+        .then(url => data.openUrl(url))
+        .catch(finish);
+    });
+  });
+}
+
+// Whether an OAuth login with the given data visits the login URL in this
+// page, so that its promise resolves as the page is left, and the login only
+// completes on the redirect back.
+function oauthLeavesPage(data) {
+  return !data || (data.mode !== 'popup' && data.mode !== 'loopback');
+}
+
+// Logs in by visiting the login URL, or in a popup when `data.mode` is 'popup',
+// or through a local server when `data.mode` is 'loopback'.
+function oauthLogin(auth, providerName, data, requestOptions) {
+  const redirectUrl = (data && data.redirectUrl) ? data.redirectUrl : undefined;
+  if (data && data.mode === 'popup') {
+    return popupLogin(auth, providerName, redirectUrl, requestOptions);
+  }
+
+  if (data && data.mode === 'loopback') {
+    return loopbackLogin(auth, providerName, data, requestOptions);
+  }
+
+  return getOAuthLoginURL(auth, providerName, redirectUrl, requestOptions)
+    .then(url => window.location.replace(url));
 }
 
 /** @namespace */
 function googleProvider(auth) {
   return {
     /**
-     * Login to a stitch application using google authentication
+     * Login to a stitch application using google authentication, by redirecting
+     * to google, or in a popup window
      *
      * @memberof googleProvider
      * @instance
      * @param {Object} data the redirectUrl data to use for authentication
-     * @returns {Promise} a promise that resolves when authentication succeeds.
+     * @param {String} [data.mode] 'popup' to log in through a popup window, keeping the current page,
+     * or 'loopback' to log in outside of a browser, through a temporary server on `127.0.0.1`
+     * @param {Function} [data.openUrl] in loopback mode, called with the login URL to open in a browser
+     * @param {Number} [data.port] in loopback mode, the port to listen on; any free port by default
+     * @param {Number} [data.timeoutMS] in loopback mode, how long to wait for the login; 5 minutes by default
+     * @param {Object} [requestOptions] request options such as `timeoutMS` or `signal` (see `StitchClient.withRequestOptions`)
+     * @returns {Promise} a promise that resolves when authentication succeeds: in popup and loopback mode,
+     * to the ID of the logged in user, otherwise when the redirect starts.
      */
-    authenticate: data => {
-      const redirectUrl = (data && data.redirectUrl) ? data.redirectUrl : undefined;
-      window.location.replace(getOAuthLoginURL(auth, 'google', redirectUrl));
-      return Promise.resolve();
-    }
+    authenticate: (data, requestOptions) => oauthLogin(auth, 'google', data, requestOptions),
+    leavesPage: oauthLeavesPage
   };
 }
 
@@ -268,18 +567,80 @@ function googleProvider(auth) {
 function facebookProvider(auth) {
   return {
     /**
-     * Login to a stitch application using facebook authentication
+     * Login to a stitch application using facebook authentication, by redirecting
+     * to facebook, or in a popup window
      *
      * @memberof facebookProvider
      * @instance
      * @param {Object} data the redirectUrl data to use for authentication
-     * @returns {Promise} a promise that resolves when authentication succeeds.
+     * @param {String} [data.mode] 'popup' to log in through a popup window, keeping the current page,
+     * or 'loopback' to log in outside of a browser, through a temporary server on `127.0.0.1`
+     * @param {Function} [data.openUrl] in loopback mode, called with the login URL to open in a browser
+     * @param {Number} [data.port] in loopback mode, the port to listen on; any free port by default
+     * @param {Number} [data.timeoutMS] in loopback mode, how long to wait for the login; 5 minutes by default
+     * @param {Object} [requestOptions] request options such as `timeoutMS` or `signal` (see `StitchClient.withRequestOptions`)
+     * @returns {Promise} a promise that resolves when authentication succeeds: in popup and loopback mode,
+     * to the ID of the logged in user, otherwise when the redirect starts.
      */
-    authenticate: data => {
-      const redirectUrl = (data && data.redirectUrl) ? data.redirectUrl : undefined;
-      window.location.replace(getOAuthLoginURL(auth, 'facebook', redirectUrl));
-      return Promise.resolve();
-    }
+    authenticate: (data, requestOptions) => oauthLogin(auth, 'facebook', data, requestOptions),
+    leavesPage: oauthLeavesPage
+  };
+}
+
+// OAuth2 provider names end up in the login URL's path
+const OAUTH_PROVIDER_NAME = /^[a-zA-Z0-9_-]+$/;
+
+function checkOAuthProviderName(name) {
+  if (typeof name !== 'string' || !OAUTH_PROVIDER_NAME.test(name)) {
+    throw new StitchAuthError(`Invalid OAuth2 provider name: ${name}`, ErrAuthProviderNotFound);
+  }
+}
+
+/** @namespace */
+function oauth2Provider(auth) {
+  return {
+    /**
+     * Login to a stitch application using any OAuth2 provider configured for
+     * the application, such as 'github'. Supports the same options as
+     * {@link googleProvider}.
+     *
+     * @memberof oauth2Provider
+     * @instance
+     * @param {Object} data the provider and redirectUrl data to use for authentication
+     * @param {String} data.provider the name of the OAuth2 provider, as in its `oauth2-<name>` route
+     * @param {Object} [requestOptions] request options such as `timeoutMS` or `signal` (see `StitchClient.withRequestOptions`)
+     * @returns {Promise} a promise that resolves when authentication succeeds: in popup and loopback mode,
+     * to the ID of the logged in user, otherwise when the redirect starts.
+     */
+    authenticate: (data, requestOptions) => {
+      try {
+        checkOAuthProviderName(data && data.provider);
+      } catch (e) {
+        return Promise.reject(e);
+      }
+
+      return oauthLogin(auth, data.provider, data, requestOptions);
+    },
+    leavesPage: oauthLeavesPage
+  };
+}
+
+/**
+ * Creates a provider for the OAuth2 provider with the given name, which works
+ * like the `google` and `facebook` providers.
+ *
+ * @memberof module:auth
+ * @method createOAuthProvider
+ * @param {Auth} auth the Auth the provider logs in to
+ * @param {String} name the name of the OAuth2 provider, as in its `oauth2-<name>` route
+ * @returns {Object} the provider
+ */
+function createOAuthProvider(auth, name) {
+  checkOAuthProviderName(name);
+  return {
+    registered: true,
+    authenticate: (data, requestOptions) => oauthLogin(auth, name, data, requestOptions),
+    leavesPage: oauthLeavesPage
   };
 }
 
@@ -296,9 +657,10 @@ function mongodbCloudProvider(auth) {
      * @memberof mongodbCloudProvider
      * @instance
      * @param {Object} data the username, apiKey, cors, and cookie data to use for authentication
+     * @param {Object} [requestOptions] request options such as `timeoutMS` or `signal` (see `StitchClient.withRequestOptions`)
      * @returns {Promise} a promise that resolves when authentication succeeds.
      */
-    authenticate: data => {
+    authenticate: (data, requestOptions) => {
       const { username, apiKey, cors, cookie } = data;
       const options = Object.assign({}, { cors: true, cookie: false }, { cors: cors, cookie: cookie });
       const device = getDeviceInfo(auth.getDeviceId(), !!auth.client && auth.client.clientAppID);
@@ -311,12 +673,12 @@ function mongodbCloudProvider(auth) {
 
       let url = `${auth.rootUrl}/${loginRoute}`;
       if (options.cookie) {
-        return fetch(url + '?cookie=true', fetchArgs)
-          .then(common.checkStatus);
+        return auth.fetch(url + '?cookie=true', fetchArgs, requestOptions)
+          .then(checkStatus);
       }
 
-      return fetch(url, fetchArgs)
-        .then(common.checkStatus)
+      return auth.fetch(url, fetchArgs, requestOptions)
+        .then(checkStatus)
         .then(response => response.json())
         .then(json => auth.set(json));
     }
@@ -328,11 +690,13 @@ function createProviders(auth, options = {}) {
   return {
     anon: anonProvider(auth),
     apiKey: apiKeyProvider(auth),
+    customToken: customTokenProvider(auth),
     google: googleProvider(auth),
     facebook: facebookProvider(auth),
     mongodbCloud: mongodbCloudProvider(auth),
+    oauth2: oauth2Provider(auth),
     userpass: userPassProvider(auth)
   };
 }
 
-export { createProviders };
+export { createProviders, createOAuthProvider };
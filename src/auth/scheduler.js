@@ -0,0 +1,132 @@
+/* global window, document, navigator */
+import * as authCommon from './common';
+
+// setTimeout fires immediately for delays beyond a signed 32-bit integer
+const MAX_TIMEOUT_MS = 0x7FFFFFFF;
+
+/**
+ * Refreshes the access token of an Auth in the background, shortly before it
+ * expires, so that requests do not have to wait for a refresh (not meant to be
+ * instantiated directly). In browsers, refreshes are put off while the page is
+ * hidden or offline, and happen as soon as it is visible and online again if
+ * they became due in the meantime.
+ *
+ * @class
+ * @param {Auth} auth the Auth whose access token to refresh
+ * @param {Object} [options] scheduling options
+ * @param {Number} [options.aheadSeconds] how long before expiry to refresh
+ * @param {Number} [options.retryDelayMS] the delay before retrying a failed refresh
+ * @return {RefreshScheduler} a RefreshScheduler instance.
+ */
+export default class RefreshScheduler {
+  constructor(auth, options) {
+    options = Object.assign({}, {
+      aheadSeconds: authCommon.DEFAULT_REFRESH_AHEAD_SECS,
+      retryDelayMS: authCommon.DEFAULT_REFRESH_RETRY_DELAY_MS
+    }, options);
+
+    this.auth = auth;
+    this.aheadSeconds = options.aheadSeconds;
+    this.retryDelayMS = options.retryDelayMS;
+    this._timer = null;
+    this._stopped = true;
+    this._unsubscribes = [];
+  }
+
+  /**
+   * Starts refreshing the access token of the active user, and of any user
+   * who becomes active later on.
+   */
+  start() {
+    if (!this._stopped) {
+      return;
+    }
+
+    this._stopped = false;
+    const reschedule = () => this.schedule();
+    this._unsubscribes = [
+      authCommon.LOGIN_EVENT,
+      authCommon.TOKEN_REFRESHED_EVENT,
+      authCommon.ACTIVE_USER_CHANGED_EVENT
+    ].map(type => this.auth.on(type, reschedule));
+
+    [authCommon.LOGOUT_EVENT, authCommon.SESSION_INVALIDATED_EVENT]
+      .forEach(type => this._unsubscribes.push(this.auth.on(type, () => this.cancel())));
+
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      window.addEventListener('online', reschedule);
+      window.addEventListener('offline', reschedule);
+      this._unsubscribes.push(() => {
+        window.removeEventListener('online', reschedule);
+        window.removeEventListener('offline', reschedule);
+      });
+    }
+
+    if (typeof document !== 'undefined' && document.addEventListener) {
+      document.addEventListener('visibilitychange', reschedule);
+      this._unsubscribes.push(() => document.removeEventListener('visibilitychange', reschedule));
+    }
+
+    this.schedule();
+  }
+
+  /**
+   * Stops refreshing the access token altogether.
+   */
+  stop() {
+    this._stopped = true;
+    this._unsubscribes.forEach(unsubscribe => unsubscribe());
+    this._unsubscribes = [];
+    this.cancel();
+  }
+
+  /**
+   * Cancels the upcoming refresh, until the next login or token refresh.
+   */
+  cancel() {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * (Re)schedules the refresh of the current access token.
+   *
+   * @param {Number} [delayMS] the delay before the refresh, computed from the
+   * expiry of the access token by default
+   */
+  schedule(delayMS) {
+    this.cancel();
+
+    const expiresAt = this.auth.getAccessTokenExpiration();
+    if (this._stopped || this._isPaused() || !expiresAt) {
+      return;
+    }
+
+    if (delayMS === undefined) {
+      delayMS = Math.max(0, expiresAt - this.aheadSeconds * 1000 - Date.now());
+    }
+
+    this._timer = setTimeout(() => this._refresh(), Math.min(delayMS, MAX_TIMEOUT_MS));
+  }
+
+  _refresh() {
+    this._timer = null;
+    if (this._isPaused()) {
+      return;
+    }
+
+    // a successful refresh reschedules through the tokenRefreshed event
+    this.auth.refreshToken().catch(e => {
+      if (this.auth.getAccessToken()) {
+        console.error(`StitchClient: background token refresh failed: ${e}`);
+        this.schedule(this.retryDelayMS);
+      }
+    });
+  }
+
+  _isPaused() {
+    const hidden = typeof document !== 'undefined' && document.hidden === true;
+    const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+    return hidden || offline;
+  }
+}
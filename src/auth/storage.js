@@ -1,3 +1,5 @@
+import { EncryptedStorage } from './encryption';
+
 class MemoryStorage {
   constructor() {
     this._data = {};
@@ -23,28 +25,312 @@ class MemoryStorage {
   }
 }
 
+// Keeps values in a JSON file, in a section per namespace so that several apps
+// can share the file. The file is re-read on every access, as other processes
+// may write to it, and is only readable by the current user.
+class FileStorage {
+  constructor(dir, section) {
+    const path = require('path');
+    this.fs = require('fs');
+    this.dir = dir || path.join(require('os').homedir(), '.mongodb-stitch');
+    this.path = path.join(this.dir, 'auth.json');
+    this.section = section || '_default';
+  }
+
+  getItem(key) {
+    const values = this._read()[this.section] || {};
+    return (key in values) ? values[key] : null;
+  }
+
+  setItem(key, value) {
+    this._update(values => { values[key] = value; });
+    return value;
+  }
+
+  removeItem(key) {
+    this._update(values => { delete values[key]; });
+    return undefined;
+  }
+
+  clear() {
+    this._update(values => Object.keys(values).forEach(key => delete values[key]));
+  }
+
+  _read() {
+    let data;
+    try {
+      data = this.fs.readFileSync(this.path, 'utf8');
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        return {};
+      }
+      throw e;
+    }
+
+    try {
+      return JSON.parse(data);
+    } catch (e) {
+      console.error(`StitchClient: ignoring malformed auth data in ${this.path}`);
+      return {};
+    }
+  }
+
+  _update(update) {
+    const data = this._read();
+    const values = data[this.section] || {};
+    update(values);
+    if (Object.keys(values).length) {
+      data[this.section] = values;
+    } else {
+      delete data[this.section];
+    }
+
+    // write to a temporary file first, so that a concurrent reader or a
+    // crash never sees a partially written file
+    const tmpPath = `${this.path}.${process.pid}.tmp`;
+    this._makeDir(this.dir);
+    this.fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+    this.fs.renameSync(tmpPath, this.path);
+  }
+
+  // Creates the directory along with any missing parents, as older versions
+  // of node cannot create them recursively.
+  _makeDir(dir) {
+    try {
+      this.fs.mkdirSync(dir, 0o700);
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        this._makeDir(require('path').dirname(dir));
+        this._makeDir(dir);
+      } else if (e.code !== 'EEXIST') {
+        throw e;
+      }
+    }
+  }
+}
+
+// set once the unscoped keys of earlier versions have been migrated into a namespace
+const MIGRATED_KEY = '_stitch_migrated';
+
+const isMissing = value => value === null || value === undefined;
+
 class Storage {
-  constructor(store) {
+  constructor(store, namespace = '') {
     this.store = store;
+    this.namespace = namespace;
+    this.loaded = true;
+
+    // whether values are read from a cache rather than from the store itself
+    this.cached = false;
   }
 
-  get(key) { return this.store.getItem(key); }
-  set(key, value) { return this.store.setItem(key, value); }
-  remove(key) { return this.store.removeItem(key); }
+  get(key) { return this.store.getItem(this._key(key)); }
+  set(key, value) { return this.store.setItem(this._key(key), value); }
+  remove(key) { return this.store.removeItem(this._key(key)); }
   clear() { return this.store.clear(); }
+
+  // Synchronous stores need no loading; this only migrates unscoped keys.
+  load(keys) {
+    this.migrate(keys);
+    return Promise.resolve();
+  }
+
+  // Synchronous stores are always read directly, so there is nothing to reload.
+  reload(keys) {
+    return Promise.resolve();
+  }
+
+  // Returns the key for a key of the underlying store, or null if the latter
+  // is not in this storage's namespace.
+  localKey(storeKey) {
+    if (!this.namespace) {
+      return storeKey;
+    }
+
+    const prefix = `${this.namespace}.`;
+    return storeKey.indexOf(prefix) === 0 ? storeKey.substring(prefix.length) : null;
+  }
+
+  // Moves values stored under the given unscoped keys, as written by versions
+  // which did not namespace keys, into this storage's namespace. Those keys
+  // do not record the app which wrote them; they are taken to belong to the
+  // first client to load after the upgrade, and removed, so that a logout
+  // does not leave the session (or its refresh token) to other clients on
+  // the origin. This only happens once per namespace, so that unscoped keys
+  // written afterwards (by another app on the same origin still using an
+  // earlier version) are not picked up.
+  migrate(keys) {
+    if (!this.namespace || this.get(MIGRATED_KEY)) {
+      return;
+    }
+
+    keys.forEach(key => {
+      const value = this.store.getItem(key);
+      if (isMissing(value)) {
+        return;
+      }
+
+      if (isMissing(this.get(key))) {
+        this.set(key, value);
+      }
+      this.store.removeItem(key);
+    });
+
+    this.set(MIGRATED_KEY, 'true');
+  }
+
+  _key(key) {
+    return this.namespace ? `${this.namespace}.${key}` : key;
+  }
 }
 
-export function createStorage(type) {
-  if (type === 'localStorage') {
-    if ((typeof window !== 'undefined') && 'localStorage' in window && window.localStorage !== null) {
-      return new Storage(window.localStorage);
+// Wraps a store whose `getItem`, `setItem` and `removeItem` may return
+// Promises, such as React Native's AsyncStorage. Values are read from a cache
+// populated by `load`, so that `get` stays synchronous, while writes update
+// the cache immediately and are persisted to the store one at a time, in order.
+class AsyncStorage extends Storage {
+  constructor(store, namespace = '') {
+    super(store, namespace);
+    this.loaded = false;
+    this.cached = true;
+    this._cache = {};
+    this._versions = {};
+    this.onWrite = null;
+    this._writes = Promise.resolve();
+  }
+
+  get(key) { return key in this._cache ? this._cache[key] : null; }
+
+  set(key, value) {
+    this._cache[key] = value;
+    this._versions[key] = (this._versions[key] || 0) + 1;
+    return this._write(() => this.store.setItem(this._key(key), value), key);
+  }
+
+  remove(key) {
+    delete this._cache[key];
+    this._versions[key] = (this._versions[key] || 0) + 1;
+    return this._write(() => this.store.removeItem(this._key(key)), key);
+  }
+
+  clear() {
+    this._cache = {};
+    return this._write(() => this.store.clear && this.store.clear());
+  }
+
+  // Reads the given keys from the store into the cache, moving unscoped
+  // keys first (see Storage#migrate). Keys written in the meantime keep their newer value.
+  load(keys) {
+    const read = key => Promise.resolve().then(() => this.store.getItem(key));
+
+    return read(this._key(MIGRATED_KEY))
+      .then(migrated => Promise.all(keys.map(key =>
+        read(this._key(key))
+          .then(value => {
+            if (!isMissing(value) || !this.namespace || migrated) {
+              return value;
+            }
+
+            return read(key).then(legacy => {
+              if (!isMissing(legacy)) {
+                this._write(() => this.store.setItem(this._key(key), legacy));
+                this._write(() => this.store.removeItem(key));
+              }
+              return legacy;
+            });
+          })
+          .then(value => {
+            if (!isMissing(value) && !this._versions[key]) {
+              this._cache[key] = value;
+            }
+          })
+      )).then(() => {
+        if (this.namespace && !migrated) {
+          return this._write(() => this.store.setItem(this._key(MIGRATED_KEY), 'true'));
+        }
+      }))
+      .then(() => {
+        this.loaded = true;
+      });
+  }
+
+  // Re-reads the given keys, e.g. after another tab changed them. Keys
+  // written in the meantime keep their newer value.
+  reload(keys) {
+    return Promise.all(keys.map(key => {
+      const version = this._versions[key];
+      return this._writes
+        .then(() => this.store.getItem(this._key(key)))
+        .then(value => {
+          if (this._versions[key] !== version) {
+            return;
+          }
+
+          if (isMissing(value)) {
+            delete this._cache[key];
+          } else {
+            this._cache[key] = value;
+          }
+        });
+    }));
+  }
+
+  // Persists a write once previous writes are done, and reports the written
+  // key to `onWrite`, if set.
+  _write(operation, key) {
+    const write = this._writes.then(operation);
+    if (key) {
+      write.then(() => this.onWrite && this.onWrite(key), () => {});
     }
-  } else if (type === 'sessionStorage') {
-    if ((typeof window !== 'undefined') && 'sessionStorage' in window && window.sessionStorage !== null) {
-      return new Storage(window.sessionStorage);
+
+    // a failed write must not prevent later writes
+    this._writes = write.catch(e => console.error(`StitchClient: failed to persist auth data: ${e}`));
+    return write;
+  }
+}
+
+/**
+ * Creates the storage used to persist auth data.
+ *
+ * @param {String} type the built-in storage to use: `localStorage`, `sessionStorage`,
+ * `file` (Node only) or anything else for memory storage
+ * @param {Object} [options] additional storage options
+ * @param {String} [options.namespace] the prefix for all keys
+ * @param {String} [options.dir] the directory holding the file used by `file` storage,
+ * `~/.mongodb-stitch` by default
+ * @param {Object} [options.store] a custom store implementing `getItem`, `setItem`,
+ * `removeItem` and optionally `clear`, each of which may return a Promise; overrides `type`
+ * @param {Object} [options.encryption] options to encrypt values before they reach the
+ * store (see {@link EncryptedStorage})
+ * @returns {Storage} the storage
+ */
+export function createStorage(type, options = {}) {
+  let { namespace, store } = options;
+  let async = !!store;
+
+  if (!store) {
+    if (type === 'localStorage') {
+      if ((typeof window !== 'undefined') && 'localStorage' in window && window.localStorage !== null) {
+        store = window.localStorage;
+      }
+    } else if (type === 'sessionStorage') {
+      if ((typeof window !== 'undefined') && 'sessionStorage' in window && window.sessionStorage !== null) {
+        store = window.sessionStorage;
+      }
+    } else if (type === 'file') {
+      // the file is sectioned by namespace, so keys need no prefix
+      store = new FileStorage(options.dir, namespace);
+      namespace = '';
     }
   }
 
   // default to memory storage
-  return new Storage(new MemoryStorage());
+  store = store || new MemoryStorage();
+
+  if (options.encryption) {
+    store = new EncryptedStorage(store, options.encryption);
+    async = true;
+  }
+
+  return async ? new AsyncStorage(store, namespace) : new Storage(store, namespace);
 }
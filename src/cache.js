@@ -0,0 +1,176 @@
+const DEFAULT_MAX_ENTRIES = 100;
+const DEFAULT_TTL_MS = 60 * 1000;
+
+/**
+ * Caches the results of function and service calls (not meant to be
+ * instantiated directly). Calls which are known to be idempotent are cached,
+ * i.e. reads such as `find` and `aggregate`, and `executeFunction` calls made
+ * with the `idempotent` request option; the `cache` request option overrides
+ * this either way, and may set the `ttlMS` and `staleWhileRevalidateMS` of a
+ * call. Results are cached per user, and identical calls in flight at the same
+ * time are only made once.
+ *
+ * A result is served from the cache for `ttlMS`, and for a further
+ * `staleWhileRevalidateMS` while the call is made again in the background.
+ * Once there are more than `maxEntries` results, the least recently used are
+ * dropped. The cached reads of a collection are dropped when the client
+ * writes to it, and every result when the user logs out.
+ *
+ * Results are kept as the ExtJSON text of the response, so that each caller
+ * gets its own copy. Cached calls are not queued while offline.
+ *
+ * @class
+ * @param {Object} [options] cache options
+ * @param {Number} [options.maxEntries] the maximum number of results cached
+ * @param {Number} [options.ttlMS] how long a result is served from the cache by default
+ * @param {Number} [options.staleWhileRevalidateMS] how long a result is served past its TTL by
+ * default, while it is revalidated
+ * @return {ResultCache} a ResultCache instance.
+ */
+export default class ResultCache {
+  constructor(options) {
+    options = Object.assign({}, {
+      maxEntries: DEFAULT_MAX_ENTRIES,
+      ttlMS: DEFAULT_TTL_MS,
+      staleWhileRevalidateMS: 0
+    }, options);
+
+    this.maxEntries = options.maxEntries;
+    this.ttlMS = options.ttlMS;
+    this.staleWhileRevalidateMS = options.staleWhileRevalidateMS;
+    this._entries = {};
+    this._lastUsed = 0;
+  }
+
+  /**
+   * Returns the number of results cached.
+   *
+   * @returns {Number}
+   */
+  get size() {
+    return Object.keys(this._entries).filter(key => this._entries[key].storedAt !== undefined).length;
+  }
+
+  // Returns how long the result of a call made with the given request options
+  // is cached for, or null if it is not cached.
+  optionsFor(requestOptions = {}) {
+    const cache = requestOptions.cache !== undefined ? requestOptions.cache : !!requestOptions.idempotent;
+    if (!cache) {
+      return null;
+    }
+
+    const defaults = { ttlMS: this.ttlMS, staleWhileRevalidateMS: this.staleWhileRevalidateMS };
+    return cache === true ? defaults : Object.assign(defaults, cache);
+  }
+
+  // Resolves to the cached result of a call, or else makes it with `call`,
+  // which resolves to the text to cache. `key` identifies the call, and
+  // `request` is its decoded body, which invalidation is matched against.
+  get(key, request, call, options) {
+    const now = Date.now();
+    const entry = this._entries[key];
+    if (entry) {
+      entry.lastUsed = ++this._lastUsed;
+      if (entry.pending) {
+        return entry.pending;
+      }
+
+      if (now < entry.expiresAt) {
+        return Promise.resolve(entry.value);
+      }
+
+      if (now < entry.staleUntil) {
+        this._fetch(key, request, call, options).catch(e => {
+          console.error(`StitchClient: failed to revalidate cached result: ${e}`);
+        });
+        return Promise.resolve(entry.value);
+      }
+    }
+
+    return this._fetch(key, request, call, options);
+  }
+
+  /**
+   * Drops cached results: every result, those of the calls to a function with
+   * `{ name }`, or the reads of a collection with `{ service, database, collection }`.
+   *
+   * @param {Object} [filter] the results to drop
+   */
+  invalidate(filter) {
+    Object.keys(this._entries)
+      .filter(key => !filter || matches(this._entries[key].request, filter))
+      .forEach(key => { delete this._entries[key]; });
+  }
+
+  // Makes a call and caches its result, unless it is invalidated meanwhile.
+  // A cached result stays in place, to be served stale, until then.
+  _fetch(key, request, call, options) {
+    const previous = this._entries[key];
+    if (previous && previous.revalidating) {
+      return previous.revalidating;
+    }
+
+    const entry = previous || { request, lastUsed: ++this._lastUsed };
+    const pending = Promise.resolve().then(call);
+    if (previous) {
+      previous.revalidating = pending;
+    } else {
+      entry.pending = pending;
+      this._entries[key] = entry;
+    }
+
+    return pending.then(value => {
+      if (this._entries[key] === entry) {
+        const storedAt = Date.now();
+        Object.assign(entry, {
+          value,
+          storedAt,
+          expiresAt: storedAt + options.ttlMS,
+          staleUntil: storedAt + options.ttlMS + options.staleWhileRevalidateMS,
+          pending: null,
+          revalidating: null
+        });
+        this._evict();
+      }
+      return value;
+    }, error => {
+      if (this._entries[key] === entry) {
+        if (previous) {
+          previous.revalidating = null;
+        } else {
+          delete this._entries[key];
+        }
+      }
+      throw error;
+    });
+  }
+
+  // Drops the least recently used results past `maxEntries`.
+  _evict() {
+    const keys = Object.keys(this._entries)
+      .filter(key => this._entries[key].storedAt !== undefined)
+      .sort((a, b) => this._entries[a].lastUsed - this._entries[b].lastUsed);
+    keys.slice(0, Math.max(keys.length - this.maxEntries, 0))
+      .forEach(key => { delete this._entries[key]; });
+  }
+}
+
+// Returns the collection a function call reads from or writes to, if any.
+export function collectionOf(request) {
+  const args = request.arguments && request.arguments[0];
+  if (!request.service || !args || !args.database || !args.collection) {
+    return null;
+  }
+
+  return { service: request.service, database: args.database, collection: args.collection };
+}
+
+function matches(request, filter) {
+  if (filter.name !== undefined) {
+    return !request.service && request.name === filter.name;
+  }
+
+  const collection = collectionOf(request);
+  return !!collection &&
+    ['service', 'database', 'collection'].every(field => filter[field] === undefined || filter[field] === collection[field]);
+}
@@ -2,16 +2,45 @@
 /* eslint no-labels: ['error', { 'allowLoop': true }] */
 import 'fetch-everywhere';
 import Auth from './auth';
-import { APP_CLIENT_CODEC } from './auth/common';
+import {
+  APP_CLIENT_CODEC,
+  AUTH_STATE_EVENTS,
+  IDENTITY_LINKED_EVENT,
+  LOGIN_EVENT,
+  LOGOUT_EVENT,
+  SESSION_INVALIDATED_EVENT,
+  TOKEN_REFRESHED_EVENT
+} from './auth/common';
 import ServiceRegistry from './services';
+import StitchUser from './user';
+import OfflineQueue from './queue';
+import ResultCache, { collectionOf } from './cache';
 import * as common from './common';
 import ExtJSON from 'mongodb-extjson';
 import queryString from 'query-string';
-import { deprecate } from './util';
+import { deprecate, withCancellation } from './util';
+import {
+  DEFAULT_RETRY_POLICY,
+  resolveRetryPolicy,
+  isIdempotentMethod,
+  isNetworkError,
+  markFetchFailure,
+  isRetryableResponse,
+  backoffDelay
+} from './retry';
 import {
   StitchError,
+  StitchAuthError,
+  StitchNetworkError,
+  StitchRequestError,
+  StitchServiceError,
+  ErrAccountNameInUse,
+  ErrInvalidArgument,
+  ErrInvalidOperation,
   ErrInvalidSession,
-  ErrUnauthorized
+  ErrNotAnonymousUser,
+  ErrUnauthorized,
+  ErrUserNotFound
 } from './errors';
 
 const v1 = 1;
@@ -22,10 +51,77 @@ const API_TYPE_PRIVATE = 'private';
 const API_TYPE_CLIENT = 'client';
 const API_TYPE_APP = 'app';
 
+// The provider recorded for a login: for generic OAuth2 logins, the OAuth2
+// provider itself, as for providers added with `registerOAuthProvider`.
+const loginProvider = (providerType, options) =>
+  (providerType === 'oauth2' && options && options.provider ? options.provider : providerType);
+
+// Splits the request options (`signal` and `timeoutMS`) out of the options of
+// a login, which are otherwise sent along as credentials. Returns null if
+// there are none.
+const splitLoginOptions = options => {
+  const { signal, timeoutMS } = options;
+  if (signal === undefined && timeoutMS === undefined) {
+    return null;
+  }
+
+  const credentials = Object.assign({}, options);
+  const requestOptions = {};
+  ['signal', 'timeoutMS'].forEach(key => {
+    if (options[key] !== undefined) {
+      requestOptions[key] = options[key];
+    }
+    delete credentials[key];
+  });
+  return { credentials, requestOptions };
+};
+
+// Rethrows the server's error for an email which is already registered with a
+// clearer message.
+const rethrowAccountNameInUse = email => e => {
+  if (e && e.errorCode === ErrAccountNameInUse) {
+    throw new StitchAuthError(`${email} already belongs to another account`, ErrAccountNameInUse, e);
+  }
+  throw e;
+};
+
+// The class of error for a failed request to a resource: requests about
+// sessions and users fail with auth errors, function and service calls with
+// service errors.
+const errorClassFor = resource => {
+  if (resource.indexOf('/auth/') === 0) {
+    return StitchAuthError;
+  }
+
+  return resource === '/functions/call' ? StitchServiceError : StitchRequestError;
+};
+
 /**
  * Create a new StitchClient instance.
  *
  * @class
+ * @param {String} clientAppID the ID of the Stitch application
+ * @param {Object} [options] additional options for the client
+ * @param {String} [options.baseUrl] the base URL of the Stitch server
+ * @param {Object|Boolean} [options.retry] overrides for the retry policy applied to
+ * transient failures (see {@link retry.DEFAULT_RETRY_POLICY}), or `false` to disable retries
+ * @param {String} [options.storageType] the built-in storage for auth data: `localStorage`
+ * (the default), `sessionStorage`, `memory` or, in Node, `file`
+ * @param {String} [options.storageDir] the directory of the auth data file used by `file`
+ * storage, `~/.mongodb-stitch` by default
+ * @param {Object} [options.storageEncryption] encrypts auth data before it is stored, with the
+ * key returned by `options.storageEncryption.getKey` (see {@link EncryptedStorage})
+ * @param {Object|Boolean} [options.autoRefresh] `true` to refresh access tokens in the background
+ * before they expire, or options for the {@link RefreshScheduler}, such as `aheadSeconds`
+ * @param {Object} [options.storage] a custom store for auth data, implementing `getItem`,
+ * `setItem`, `removeItem` and optionally `clear`, each of which may return a Promise
+ * @param {Object|Boolean} [options.offlineQueue] `true` to queue calls which cannot be made while
+ * offline and make them once back online, or options for the {@link OfflineQueue}
+ * @param {Object|Boolean} [options.cache] `true` to cache the results of reads, or options for
+ * the {@link ResultCache}, such as `maxEntries` and `ttlMS`
+ * @param {Boolean} [options.handleRedirects] `false` to leave the page's location alone
+ * rather than completing OAuth logins from its fragment when the client is created,
+ * in which case the app passes the URL redirected back to to `auth.handleRedirectUrl`
  * @return {StitchClient} a StitchClient instance.
  */
 export default class StitchClient {
@@ -73,9 +169,52 @@ export default class StitchClient {
     if (options && options.authCodec) {
       authOptions.codec = options.authCodec;
     }
+    if (options && options.storageType) {
+      authOptions.storageType = options.storageType;
+    }
+    if (options && options.storage) {
+      authOptions.storage = options.storage;
+    }
+    if (options && options.storageDir) {
+      authOptions.storageDir = options.storageDir;
+    }
+    if (options && options.storageEncryption) {
+      authOptions.storageEncryption = options.storageEncryption;
+    }
+    if (options && options.autoRefresh) {
+      authOptions.autoRefresh = options.autoRefresh;
+    }
+    this.interceptors = [];
+    this.retryPolicy = resolveRetryPolicy(DEFAULT_RETRY_POLICY, options && options.retry);
     this.auth = new Auth(this, this.authUrl, authOptions);
-    this.auth.handleRedirect();
-    this.auth.handleCookie();
+    this._currentUser = null;
+    AUTH_STATE_EVENTS.concat(IDENTITY_LINKED_EVENT, TOKEN_REFRESHED_EVENT)
+      .forEach(type => this.auth.on(type, () => this._refreshCurrentUser()));
+
+    // apps may handle redirects themselves, with `auth.handleRedirectUrl`
+    const handleRedirect = () => {
+      if (options && options.handleRedirects === false) {
+        return;
+      }
+
+      this.auth.handleRedirect();
+      this.auth.handleCookie();
+    };
+    if (this.auth.loaded) {
+      handleRedirect();
+      this._ready = Promise.resolve();
+    } else {
+      this._ready = this.auth.ready.then(handleRedirect);
+    }
+
+    if (options && options.cache) {
+      this.cache = new ResultCache(options.cache === true ? {} : options.cache);
+      [LOGOUT_EVENT, SESSION_INVALIDATED_EVENT].forEach(type => this.auth.on(type, () => this.cache.invalidate()));
+    }
+    if (options && options.offlineQueue) {
+      this.offlineQueue = new OfflineQueue(this, options.offlineQueue === true ? {} : options.offlineQueue);
+      this._ready.then(() => this.offlineQueue.start());
+    }
 
     // deprecated API
     this.authManager = {
@@ -97,6 +236,75 @@ export default class StitchClient {
     return common.APP_CLIENT_TYPE;
   }
 
+  /**
+   * Waits for stored auth data to be loaded, which only takes time when a
+   * custom asynchronous `storage` is used. Requests made in the meantime wait
+   * on their own, but `authedId` and similar synchronous methods do not.
+   *
+   * @returns {Promise} which resolves once stored auth data is available
+   */
+  ready() {
+    return this._ready;
+  }
+
+  /**
+   * Registers an interceptor for every network request made by this client,
+   * including provider logins. An interceptor is a function taking the
+   * `request` (an object with `url` and `fetchArgs` properties) and a `next`
+   * function, which must be called to continue the chain, optionally with a
+   * rewritten request. `next` returns a Promise for the fetch `Response`, so
+   * interceptors may inspect or replace both the response and any error.
+   *
+   * @example
+   * client.use((request, next) => {
+   *   request.fetchArgs.headers['X-Trace-Id'] = traceId();
+   *   const start = Date.now();
+   *   return next(request).then(response => {
+   *     console.log(`${request.url} took ${Date.now() - start}ms`);
+   *     return response;
+   *   });
+   * });
+   *
+   * @param {Function} interceptor the interceptor to add to the chain
+   * @returns {Function} a function which removes the interceptor when called
+   */
+  use(interceptor) {
+    if (typeof interceptor !== 'function') {
+      throw new StitchError('interceptor must be a function', ErrInvalidArgument);
+    }
+
+    this.interceptors.push(interceptor);
+    return () => {
+      const idx = this.interceptors.indexOf(interceptor);
+      if (idx >= 0) {
+        this.interceptors.splice(idx, 1);
+      }
+    };
+  }
+
+  /**
+   * Returns a view of this client which applies the given options to every
+   * request it makes, such as `client.withRequestOptions({ idempotent: true }).executeFunction('getConfig')`.
+   * The view shares authentication, interceptors and services with this client.
+   *
+   * @param {Object} options the request options
+   * @param {Object|Boolean} [options.retry] retry policy overrides for these requests, or `false` to disable retries
+   * @param {Boolean} [options.idempotent] whether these requests may safely be replayed on failure
+   * @param {AbortSignal} [options.signal] a signal which cancels these requests when aborted
+   * @param {Number} [options.timeoutMS] the number of milliseconds after which each request is cancelled
+   * @param {Boolean} [options.queueOffline] whether function calls are queued while offline, with the
+   * `offlineQueue` client option; by default, calls which are not `idempotent` are
+   * @param {Object|Boolean} [options.cache] whether the results of function calls are cached, with
+   * the `cache` client option, or the `ttlMS` and `staleWhileRevalidateMS` to cache them with; by
+   * default, the results of `idempotent` calls are
+   * @returns {StitchClient} a client applying the given request options
+   */
+  withRequestOptions(options) {
+    const scoped = Object.create(this);
+    scoped._requestOptions = Object.assign({}, this._requestOptions, options);
+    return scoped;
+  }
+
   /**
    * Login to stitch instance, optionally providing a username and password. In
    * the event that these are omitted, anonymous authentication is used.
@@ -104,6 +312,8 @@ export default class StitchClient {
    * @param {String} [email] the email address used for login
    * @param {String} [password] the password for the provided email address
    * @param {Object} [options] additional authentication options
+   * @param {AbortSignal} [options.signal] a signal which cancels the login when aborted
+   * @param {Number} [options.timeoutMS] the number of milliseconds after which each request is cancelled
    * @returns {Promise}
    */
   login(email, password, options = {}) {
@@ -127,30 +337,243 @@ export default class StitchClient {
    * @returns {Promise}
    */
   register(email, password, options = {}) {
-    return this.auth.provider('userpass').register(email, password, options);
+    return this.auth.provider('userpass').register(email, password, this._requestOptions);
   }
 
   /**
    * Submits an authentication request to the specified provider providing any
-   * included options (read: user data).  If auth data already exists and the
-   * existing auth data has an access token, then these credentials are returned.
+   * included options (read: user data).  If the active user has an access token
+   * and logged in through the same provider, then these credentials are returned.
+   * Otherwise the new user becomes the active user, and any previously active
+   * user stays logged in (see `listUsers` and `switchToUser`).
    *
-   * @param {String} providerType the provider used for authentication (e.g. 'userpass', 'facebook', 'google')
-   * @param {Object} [options] additional authentication options
+   * @param {String} providerType the provider used for authentication (e.g. 'userpass', 'facebook', 'google',
+   * or 'oauth2' with the name of any other OAuth2 provider as `options.provider`)
+   * @param {Object} [options] additional authentication options, and the `signal` and
+   * `timeoutMS` request options (see `withRequestOptions`)
    * @returns {Promise} which resolves to a String value: the authed userId
    */
   authenticate(providerType, options = {}) {
-    // reuse existing auth if present
-    if (this.auth.getAccessToken()) {
+    if (!this.auth.loaded) {
+      return this.ready().then(() => this.authenticate(providerType, options));
+    }
+
+    // reuse existing auth if present. Auth data stored by earlier versions
+    // does not record a provider, and is reused regardless of the provider.
+    const activeProvider = this.auth.getProvider();
+    if (this.auth.getAccessToken() && (!activeProvider || activeProvider === loginProvider(providerType, options))) {
       return Promise.resolve(this.auth.authedId());
     }
 
-    return this.auth.provider(providerType).authenticate(options)
-      .then(() => this.auth.authedId());
+    return this.addUser(providerType, options);
+  }
+
+  /**
+   * Makes an OAuth2 provider configured for the app available under its name,
+   * e.g. `client.authenticate('github')` after registering 'github'. It
+   * supports the same options as the `google` and `facebook` providers.
+   *
+   * @param {String} name the name of the OAuth2 provider, as in its `oauth2-<name>` route
+   */
+  registerOAuthProvider(name) {
+    this.auth.registerOAuthProvider(name);
+  }
+
+  /**
+   * Authenticates with the specified provider even if a user is already logged
+   * in, e.g. to log in a second user with the same provider. The new user
+   * becomes the active user, and the previously active user stays logged in.
+   *
+   * @param {String} providerType the provider used for authentication (e.g. 'userpass', 'facebook', 'google')
+   * @param {Object} [options] additional authentication options, and the `signal` and
+   * `timeoutMS` request options (see `withRequestOptions`)
+   * @returns {Promise} which resolves to a String value: the authed userId
+   */
+  addUser(providerType, options = {}) {
+    const split = splitLoginOptions(options);
+    if (split) {
+      return this.withRequestOptions(split.requestOptions).addUser(providerType, split.credentials);
+    }
+
+    const previousAccessToken = this.auth.getAccessToken();
+    return this.auth.provider(providerType).authenticate(options, this._requestOptions)
+      .then(() => {
+        // a redirect login resolves before leaving the page, without logging in
+        const userId = this.auth.authedId();
+        if (!userId || this.auth.getAccessToken() === previousAccessToken) {
+          return userId;
+        }
+
+        const provider = loginProvider(providerType, options);
+        const stored = this.auth.setProvider(provider);
+        this.auth.emit(LOGIN_EVENT, { userId, provider });
+        return stored.then(() => userId);
+      });
+  }
+
+  /**
+   * Links another identity to the active user, e.g. to let an anonymous user
+   * log in with a username and password or through Google later on. The user
+   * keeps their ID. With the redirect flow of OAuth providers, the page is left
+   * to link the identity, and an `identityLinked` event is emitted once it is
+   * redirected back.
+   *
+   * @param {String} providerType the provider of the identity (e.g. 'userpass', 'facebook', 'google')
+   * @param {Object} [options] the same authentication options as for `authenticate`
+   * @returns {Promise} which resolves to the user's identities once linked, or to undefined
+   * when the redirect to link an OAuth identity starts
+   */
+  linkWithProvider(providerType, options = {}) {
+    const split = splitLoginOptions(options);
+    if (split) {
+      return this.withRequestOptions(split.requestOptions).linkWithProvider(providerType, split.credentials);
+    }
+
+    if (!this.auth.loaded) {
+      return this.ready().then(() => this.linkWithProvider(providerType, options));
+    }
+
+    const userId = this.authedId();
+    if (!userId) {
+      return Promise.reject(new StitchAuthError('Must auth first', ErrUnauthorized));
+    }
+
+    // the access token is sent along with the link request, so it must be current
+    const refreshed = this.auth.isAccessTokenExpired() ? this.auth.refreshToken() : Promise.resolve();
+    let provider;
+    return refreshed
+      .then(() => {
+        provider = this.auth.provider(providerType);
+        const requestOptions = Object.assign({}, this._requestOptions, { link: true });
+        return provider.authenticate(options, requestOptions);
+      })
+      .then(() => {
+        // a link through a full-page redirect resolves as the page is left
+        if (provider.leavesPage && provider.leavesPage(options)) {
+          return undefined;
+        }
+
+        // the event fetches the profile again, which this shares
+        const user = this.currentUser;
+        this.auth.emit(IDENTITY_LINKED_EVENT, { userId, provider: loginProvider(providerType, options) });
+        return user.refresh().then(() => user.identities);
+      });
+  }
+
+  /**
+   * Starts upgrading the active anonymous user to a user logging in with an
+   * email and password, so that they keep their ID and the data they created.
+   * Registers the email, which sends a confirmation email unless the app
+   * confirms users automatically. Finish with `completeAnonymousUpgrade`.
+   *
+   * @param {String} email the email to register
+   * @param {String} password the password to register
+   * @returns {Promise} which rejects with an `AccountNameInUse` error if the email
+   * is already registered, or a `NotAnonymousUser` error if the active user is not anonymous
+   */
+  startAnonymousUpgrade(email, password) {
+    return this._checkAnonymousUser()
+      .then(() => this.auth.provider('userpass').register(email, password, this._requestOptions))
+      .catch(rethrowAccountNameInUse(email));
+  }
+
+  /**
+   * Completes the upgrade of the active anonymous user begun with
+   * `startAnonymousUpgrade`: confirms the email, if given the token and token
+   * ID from the confirmation email, and links the credentials to the user.
+   * The user logs in with the email and password from then on.
+   *
+   * @param {String} email the registered email
+   * @param {String} password the registered password
+   * @param {Object} [confirmation] the `tokenId` and `token` from the confirmation email,
+   * unless the app confirms users automatically or the email was confirmed already
+   * @returns {Promise} which resolves to the user's identities, or rejects with an
+   * `AccountNameInUse` error if the email belongs to another user
+   */
+  completeAnonymousUpgrade(email, password, confirmation) {
+    return this._checkAnonymousUser()
+      .then(() => confirmation &&
+        this.auth.provider('userpass').emailConfirm(confirmation.tokenId, confirmation.token, this._requestOptions))
+      .then(() => this.linkWithProvider('userpass', { username: email, password }))
+      .catch(rethrowAccountNameInUse(email))
+      .then(identities => this.auth.setProvider('userpass').then(() => identities));
+  }
+
+  _checkAnonymousUser() {
+    if (!this.auth.loaded) {
+      return this.ready().then(() => this._checkAnonymousUser());
+    }
+
+    if (!this.authedId()) {
+      return Promise.reject(new StitchAuthError('Must auth first', ErrUnauthorized));
+    }
+
+    if (this.auth.getProvider() !== 'anon') {
+      return Promise.reject(new StitchAuthError('Only anonymous users can be upgraded', ErrNotAnonymousUser));
+    }
+
+    return Promise.resolve();
   }
 
   /**
-   * Ends the session for the current user.
+   * Returns every user logged in on this client.
+   *
+   * @returns {Array} objects with the `userId`, the `provider` the user logged in
+   * with and whether the user `isActive`, starting with the active user
+   */
+  listUsers() {
+    return this.auth.listUsers();
+  }
+
+  /**
+   * Makes a logged in user the active user, whose credentials are used for all
+   * subsequent requests.
+   *
+   * @param {String} userId the ID of a user returned by `listUsers`
+   * @returns {Promise} which resolves to the active user's ID
+   */
+  switchToUser(userId) {
+    let switched;
+    try {
+      switched = this.auth.switchUser(userId);
+    } catch (e) {
+      return Promise.reject(e);
+    }
+
+    return switched.then(() => this.auth.authedId());
+  }
+
+  /**
+   * Ends the session of a logged in user, leaving any other users logged in.
+   * When the user is the active user, no user is active afterwards.
+   *
+   * @param {String} userId the ID of a user returned by `listUsers`
+   * @returns {Promise}
+   */
+  logoutUser(userId) {
+    if (userId === this.authedId()) {
+      return this.logout();
+    }
+
+    const user = this.auth.getInactiveUser(userId);
+    if (!user) {
+      return Promise.reject(new StitchAuthError(`No logged in user with ID ${userId}`, ErrUserNotFound));
+    }
+
+    return this._do(
+      '/auth/session',
+      'DELETE',
+      {
+        noAuth: true,
+        refreshOnFailure: false,
+        headers: { Authorization: `Bearer ${user.refreshToken}` },
+        rootURL: this.rootURLsByAPIVersion[v2][API_TYPE_CLIENT]
+      }
+    ).then(() => this.auth.removeInactiveUser(userId));
+  }
+
+  /**
+   * Ends the session for the active user.
    *
    * @returns {Promise}
    */
@@ -163,7 +586,25 @@ export default class StitchClient {
         useRefreshToken: true,
         rootURL: this.rootURLsByAPIVersion[v2][API_TYPE_CLIENT]
       }
-    ).then(() => this.auth.clear());
+    ).then(() => this.auth.invalidate(LOGOUT_EVENT));
+  }
+
+  /**
+   * Registers a listener called whenever a user logs in or out, including when
+   * the session is invalidated by the server, or a redirect login completes.
+   * The listener receives an event with a `type` (one of `login`, `logout` or
+   * `sessionInvalidated`) and the affected `userId`. In browsers, this also
+   * covers changes made in other tabs of the same app, flagged as `external`.
+   *
+   * Finer grained events, such as `tokenRefreshed`, `identityLinked` and `redirectError`, are
+   * available through `client.auth.on(type, listener)`.
+   *
+   * @param {Function} listener the listener to call
+   * @returns {Function} a function which removes the listener when called
+   */
+  onAuthStateChanged(listener) {
+    const unsubscribes = AUTH_STATE_EVENTS.map(type => this.auth.on(type, listener));
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
   }
 
   /**
@@ -186,6 +627,42 @@ export default class StitchClient {
     )
       .then(response => response.json());
   }
+  /**
+   * The active user, or null if no user is logged in. The same object is
+   * returned for as long as the user stays active; its profile is only
+   * available once fetched with `refresh`.
+   *
+   * @type {StitchUser}
+   */
+  get currentUser() {
+    const userId = this.authedId();
+    if (!userId) {
+      return null;
+    }
+
+    if (!this._currentUser || this._currentUser.id !== userId) {
+      this._currentUser = new StitchUser(this, userId);
+    }
+    return this._currentUser;
+  }
+
+  // Fetches the profile of the active user after a login or logout, an
+  // identity link or a token refresh, unless `currentUser` was never used.
+  _refreshCurrentUser() {
+    if (!this._currentUser) {
+      return;
+    }
+
+    const user = this.currentUser;
+    if (!user) {
+      this._currentUser = null;
+      return;
+    }
+
+    user.refresh()
+      .catch(e => console.error(`StitchClient: failed to fetch the profile of the current user: ${e}`));
+  }
+
   /**
    *  @return {String} Returns the currently authed user's ID.
    */
@@ -203,11 +680,11 @@ export default class StitchClient {
    */
   service(type, name) {
     if (this.constructor !== StitchClient) {
-      throw new StitchError('`service` is a factory method, do not use `new`');
+      throw new StitchError('`service` is a factory method, do not use `new`', ErrInvalidOperation);
     }
 
     if (!ServiceRegistry.hasOwnProperty(type)) {
-      throw new StitchError('Invalid service type specified: ' + type);
+      throw new StitchError('Invalid service type specified: ' + type, ErrInvalidArgument);
     }
 
     const ServiceType = ServiceRegistry[type];
@@ -243,12 +720,76 @@ export default class StitchClient {
   }
 
   _doFunctionCall(request) {
-    let responseDecoder = (d) => ExtJSON.parse(d, { strict: false });
     let responseEncoder = (d) => ExtJSON.stringify(d);
+    let responseDecoder = (d) => ExtJSON.parse(d, { strict: false });
+
+    const body = responseEncoder(request);
+    const cache = this.cache;
+    if (!cache || !this.authedId()) {
+      return this._sendFunctionCall(body);
+    }
+
+    const cacheOptions = cache.optionsFor(this._requestOptions);
+    if (cacheOptions) {
+      // the call may be shared with other callers, so it is made without this
+      // caller's signal or timeout, which only cancel this caller's wait for it;
+      // each caller decodes its own copy of the result
+      const { signal, timeoutMS } = this._requestOptions || {};
+      const shared = this.withRequestOptions({ signal: undefined, timeoutMS: undefined });
+      return withCancellation(signal, timeoutMS, () =>
+        cache.get(`${this.authedId()}/${body}`, request, () => shared._callFunctionText(body), cacheOptions))
+        .then(text => responseDecoder(text));
+    }
+
+    // reads of a collection cached before a write, or made during it, are stale
+    const collection = !(this._requestOptions && this._requestOptions.idempotent) && collectionOf(request);
+    if (!collection) {
+      return this._sendFunctionCall(body);
+    }
+
+    cache.invalidate(collection);
+    return this._sendFunctionCall(body)
+      .then(result => {
+        cache.invalidate(collection);
+        return result;
+      }, e => {
+        cache.invalidate(collection);
+        throw e;
+      });
+  }
+
+  // Makes a function call, or queues it while offline.
+  _sendFunctionCall(body) {
+    const queue = this.offlineQueue;
+    if (!queue || !this.authedId() || !queue.shouldQueue(this._requestOptions)) {
+      return this._callFunction(body);
+    }
 
-    return this._do('/functions/call', 'POST', { body: responseEncoder(request) })
-      .then(response => response.text())
-      .then(body => responseDecoder(body));
+    // calls queued earlier are made first
+    if (queue.isOffline() || queue.hasPending()) {
+      return queue.enqueue(body);
+    }
+
+    return this._callFunction(body)
+      .catch(e => {
+        if (e instanceof StitchNetworkError) {
+          return queue.enqueue(body);
+        }
+        throw e;
+      });
+  }
+
+  _callFunction(body) {
+    let responseDecoder = (d) => ExtJSON.parse(d, { strict: false });
+
+    return this._callFunctionText(body)
+      .then(text => responseDecoder(text));
+  }
+
+  // Makes a function call, resolving to the ExtJSON text of its result.
+  _callFunctionText(body) {
+    return this._do('/functions/call', 'POST', { body })
+      .then(response => response.text());
   }
 
   /**
@@ -276,11 +817,20 @@ export default class StitchClient {
       apiVersion: v2,
       apiType: API_TYPE_APP,
       rootURL: undefined
-    }, options);
+    }, this._requestOptions, options);
+
+    if (!options.cancellation && (options.signal || options.timeoutMS)) {
+      return withCancellation(options.signal, options.timeoutMS, cancellation =>
+        this._do(resource, method, Object.assign({}, options, { cancellation })));
+    }
+
+    if (!this.auth.loaded) {
+      return this.ready().then(() => this._do(resource, method, options));
+    }
 
     if (!options.noAuth) {
       if (!this.authedId()) {
-        return Promise.reject(new StitchError('Must auth first', ErrUnauthorized));
+        return Promise.reject(new StitchAuthError('Must auth first', ErrUnauthorized));
       }
 
       // If access token is expired, proactively get a new one
@@ -303,9 +853,9 @@ export default class StitchClient {
       Object.assign(fetchArgs.headers, options.headers);
     }
 
+    let token;
     if (!options.noAuth) {
-      let token =
-        options.useRefreshToken ? this.auth.getRefreshToken() : this.auth.getAccessToken();
+      token = options.useRefreshToken ? this.auth.getRefreshToken() : this.auth.getAccessToken();
       fetchArgs.headers.Authorization = `Bearer ${token}`;
     }
 
@@ -313,7 +863,13 @@ export default class StitchClient {
       url = `${url}?${queryString.stringify(options.queryParams)}`;
     }
 
-    return fetch(url, fetchArgs)
+    const requestOptions = {
+      retry: options.retry,
+      idempotent: options.idempotent,
+      cancellation: options.cancellation
+    };
+
+    return this._fetch(url, fetchArgs, requestOptions)
       .then((response) => {
         // Okay: passthrough
         if (response.status >= 200 && response.status < 300) {
@@ -324,35 +880,116 @@ export default class StitchClient {
           return response.json()
             .then((json) => {
               // Only want to try refreshing token when there's an invalid session
-              if ('error_code' in json && json.error_code === ErrInvalidSession) {
+              // of the active user
+              if ('error_code' in json && json.error_code === ErrInvalidSession && !options.noAuth) {
                 if (!options.refreshOnFailure) {
-                  this.auth.clear();
-                  const error = new StitchError(json.error, json.error_code);
-                  error.response = response;
-                  error.json = json;
+                  const error = StitchAuthError.fromResponse(response, json);
+
+                  // log in again, e.g. with a new custom token, if possible
+                  if (!options.reauthenticated && this.auth.canReauthenticate()) {
+                    return this.auth.reauthenticate()
+                      .then(() => this._do(resource, method, Object.assign({}, options, { reauthenticated: true })),
+                        () => {
+                          this.auth.invalidate(SESSION_INVALIDATED_EVENT);
+                          throw error;
+                        });
+                  }
+
+                  this.auth.invalidate(SESSION_INVALIDATED_EVENT);
                   throw error;
                 }
 
-                return this.auth.refreshToken()
+                // another caller may have refreshed the token while this
+                // request was in flight, in which case there is no need to
+                // refresh again
+                const refresh = this.auth.getAccessToken() !== token ?
+                  Promise.resolve() : this.auth.refreshToken();
+
+                return refresh
                   .then(() => {
                     options.refreshOnFailure = false;
                     return this._do(resource, method, options);
                   });
               }
 
-              const error = new StitchError(json.error, json.error_code);
-              error.response = response;
-              error.json = json;
-              return Promise.reject(error);
+              return Promise.reject(errorClassFor(resource).fromResponse(response, json));
             });
         }
 
-        const error = new Error(response.statusText);
-        error.response = response;
-        return Promise.reject(error);
+        return Promise.reject(errorClassFor(resource).fromResponse(response));
       });
   }
 
+  _fetch(url, fetchArgs, options = {}) {
+    if (!options.cancellation && (options.signal || options.timeoutMS)) {
+      return withCancellation(options.signal, options.timeoutMS, cancellation =>
+        this._fetch(url, fetchArgs, Object.assign({}, options, { cancellation })));
+    }
+
+    const { cancellation } = options;
+    const policy = resolveRetryPolicy(this.retryPolicy, options.retry);
+    const idempotent = options.idempotent !== undefined ?
+      options.idempotent : isIdempotentMethod(fetchArgs.method);
+    const canRetry = idempotent || policy.retryNonIdempotent;
+
+    const attempt = (attemptNumber) => {
+      if (cancellation && cancellation.reason) {
+        return Promise.reject(cancellation.reason);
+      }
+
+      const retry = () => new Promise(resolve => setTimeout(resolve, backoffDelay(policy, attemptNumber)))
+        .then(() => attempt(attemptNumber + 1));
+      const shouldRetry = canRetry && attemptNumber < policy.maxAttempts;
+
+      // interceptors may modify the request, so every attempt gets a fresh copy
+      const attemptArgs = Object.assign({}, fetchArgs, { headers: Object.assign({}, fetchArgs.headers) });
+      if (cancellation && cancellation.signal) {
+        attemptArgs.signal = cancellation.signal;
+      }
+      return this._dispatch(url, attemptArgs)
+        .then(response => {
+          if (!shouldRetry) {
+            return response;
+          }
+
+          return isRetryableResponse(response, policy)
+            .then(retryable => (retryable ? retry() : response));
+        }, error => {
+          if (!isNetworkError(error)) {
+            throw error;
+          }
+
+          if (!shouldRetry) {
+            throw new StitchNetworkError(`Request to ${url} failed: ${error.message}`, error);
+          }
+
+          return retry();
+        });
+    };
+
+    return attempt(1);
+  }
+
+  _dispatch(url, fetchArgs) {
+    // snapshot the chain so interceptors added or removed mid-request
+    // do not affect requests already in flight
+    const interceptors = this.interceptors.slice();
+    const dispatch = (index, request) => Promise.resolve().then(() => {
+      if (index >= interceptors.length) {
+        // only errors of fetch itself may be connection failures, not those
+        // thrown by interceptors
+        return new Promise(resolve => resolve(fetch(request.url, request.fetchArgs)))
+          .catch(error => {
+            throw markFetchFailure(error);
+          });
+      }
+
+      return interceptors[index](request, (nextRequest = request) => dispatch(index + 1, nextRequest));
+    });
+
+    return dispatch(0, { url, fetchArgs });
+  }
+
   // Deprecated API
   authWithOAuth(providerType, redirectUrl) {
     return this.auth.provider(providerType).authenticate({ redirectUrl });
@@ -1,3 +1,5 @@
+import { StitchRequestError } from './errors';
+
 export const JSONTYPE = 'application/json';
 export const APP_CLIENT_TYPE = 'app';
 export const ADMIN_CLIENT_TYPE = 'admin';
@@ -10,21 +12,16 @@ if (typeof VERSION !== 'undefined') {
 }
 export const SDK_VERSION = version;
 
-export const checkStatus = (response) => {
+// Rejects with an error of the given class (see `StitchRequestError.fromResponse`)
+// unless the response has a successful status.
+export const checkStatus = (response, ErrorClass = StitchRequestError) => {
   if (response.status >= 200 && response.status < 300) {
     return response;
   }
 
-  let error = new Error(response.statusText);
-  error.response = response;
-
-  // set error to statusText by default; this will be overwritten when (and if)
-  // the response is successfully parsed into json below
-  error.error = response.statusText;
-
   return response.json()
-    .catch(() => Promise.reject(error))
-    .then(json => Promise.reject(Object.assign(error, json)));
+    .catch(() => Promise.reject(ErrorClass.fromResponse(response)))
+    .then(json => Promise.reject(ErrorClass.fromResponse(response, json)));
 };
 
 export const makeFetchArgs = (method, body) => {
@@ -0,0 +1,61 @@
+import { StitchError, ErrInvalidArgument } from './errors';
+
+/**
+ * A minimal event emitter (not meant to be instantiated directly).
+ *
+ * @class
+ * @return {EventEmitter} an EventEmitter instance.
+ */
+export default class EventEmitter {
+  constructor() {
+    this._listeners = {};
+  }
+
+  /**
+   * Adds a listener for an event.
+   *
+   * @param {String} type the event to listen for
+   * @param {Function} listener called with the event object, which includes its `type`
+   * @returns {Function} a function which removes the listener when called
+   */
+  on(type, listener) {
+    if (typeof listener !== 'function') {
+      throw new StitchError('listener must be a function', ErrInvalidArgument);
+    }
+
+    this._listeners[type] = (this._listeners[type] || []).concat(listener);
+    return () => this.off(type, listener);
+  }
+
+  /**
+   * Removes a listener previously added with `on`.
+   *
+   * @param {String} type the event the listener was added for
+   * @param {Function} listener the listener to remove
+   */
+  off(type, listener) {
+    if (!this._listeners[type]) {
+      return;
+    }
+
+    this._listeners[type] = this._listeners[type].filter(l => l !== listener);
+  }
+
+  /**
+   * Notifies every listener of an event. A listener which throws does not
+   * prevent other listeners from being called.
+   *
+   * @param {String} type the event to emit
+   * @param {Object} [data] additional properties of the event object
+   */
+  emit(type, data) {
+    const event = Object.assign({ type }, data);
+    (this._listeners[type] || []).forEach(listener => {
+      try {
+        listener(event);
+      } catch (e) {
+        console.error(`StitchClient: error in '${type}' listener: ${e}`);
+      }
+    });
+  }
+}
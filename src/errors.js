@@ -1,5 +1,7 @@
+import { RETRYABLE_STATUS_CODES } from './retry';
+
 /**
- * Creates a new StitchError
+ * Creates a new StitchError, the base class of every error raised by the SDK.
  *
  * @class
  * @augments Error
@@ -15,6 +17,7 @@ class StitchError extends Error {
     if (code !== undefined) {
       this.code = code;
     }
+    this.retryable = false;
 
     if (typeof Error.captureStackTrace === 'function') {
       Error.captureStackTrace(this, this.constructor);
@@ -24,14 +27,151 @@ class StitchError extends Error {
   }
 }
 
+/**
+ * Creates a new StitchRequestError, for a request which failed, whether the
+ * server responded with an error or it was aborted or timed out.
+ *
+ * @class
+ * @augments StitchError
+ * @param {String} message The error message.
+ * @param {Object} code The error code: the server's `error_code` if any.
+ * @param {Object} [details] Details of the failure.
+ * @param {Number} [details.status] The HTTP status of the response.
+ * @param {String} [details.errorCode] The `error_code` of the response.
+ * @param {Boolean} [details.retryable] Whether the request may succeed if repeated.
+ * @param {Response} [details.response] The response.
+ * @param {Object} [details.json] The body of the response.
+ * @return {StitchRequestError} A StitchRequestError instance.
+ */
+class StitchRequestError extends StitchError {
+  constructor(message, code, details = {}) {
+    super(message, code);
+    this.name = 'StitchRequestError';
+    this.status = details.status;
+    this.errorCode = details.errorCode;
+    this.retryable = details.retryable !== undefined ?
+      details.retryable : RETRYABLE_STATUS_CODES.indexOf(details.status) >= 0;
+    if (details.response) {
+      this.response = details.response;
+    }
+    if (details.json) {
+      this.json = details.json;
+    }
+  }
+
+  /**
+   * Creates an error of this class for a response with an error status.
+   *
+   * @param {Response} response The response.
+   * @param {Object} [json] The body of the response, if it is JSON.
+   * @return {StitchRequestError} An instance of the class this is called on.
+   */
+  static fromResponse(response, json) {
+    const errorCode = json && json.error_code;
+    const error = new this((json && json.error) || response.statusText, errorCode || ErrRequestFailed, {
+      status: response.status,
+      errorCode,
+      response,
+      json
+    });
+
+    // as on the plain errors raised for failed logins by earlier versions
+    error.error = error.message;
+    if (errorCode) {
+      error.error_code = errorCode;
+    }
+    return error;
+  }
+}
+
+/**
+ * Creates a new StitchAuthError, for a failed login or a request which could
+ * not be made for the current user, e.g. as their session is invalid.
+ *
+ * @class
+ * @augments StitchRequestError
+ * @return {StitchAuthError} A StitchAuthError instance.
+ */
+class StitchAuthError extends StitchRequestError {
+  constructor(message, code, details) {
+    super(message, code, details);
+    this.name = 'StitchAuthError';
+  }
+}
+
+/**
+ * Creates a new StitchServiceError, for a failed function or service call.
+ *
+ * @class
+ * @augments StitchRequestError
+ * @return {StitchServiceError} A StitchServiceError instance.
+ */
+class StitchServiceError extends StitchRequestError {
+  constructor(message, code, details) {
+    super(message, code, details);
+    this.name = 'StitchServiceError';
+  }
+}
+
+/**
+ * Creates a new StitchNetworkError, for a request which got no response, e.g.
+ * as the client is offline. These may succeed if repeated.
+ *
+ * @class
+ * @augments StitchError
+ * @param {String} message The error message.
+ * @param {Error} [cause] The error raised by `fetch`.
+ * @return {StitchNetworkError} A StitchNetworkError instance.
+ */
+class StitchNetworkError extends StitchError {
+  constructor(message, cause) {
+    super(message, ErrNetworkError);
+    this.name = 'StitchNetworkError';
+    this.retryable = true;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+}
+
 const ErrAuthProviderNotFound = 'AuthProviderNotFound';
 const ErrInvalidSession = 'InvalidSession';
 const ErrUnauthorized = 'Unauthorized';
+const ErrRequestAborted = 'RequestAborted';
+const ErrRequestTimeout = 'RequestTimeout';
+const ErrRequestFailed = 'RequestFailed';
+const ErrNetworkError = 'NetworkError';
+const ErrUserNotFound = 'UserNotFound';
+const ErrPopupBlocked = 'PopupBlocked';
+const ErrPopupClosed = 'PopupClosed';
+const ErrRedirectFailed = 'RedirectFailed';
+const ErrAccountNameInUse = 'AccountNameInUse';
+const ErrNotAnonymousUser = 'NotAnonymousUser';
+const ErrInvalidArgument = 'InvalidArgument';
+const ErrInvalidOperation = 'InvalidOperation';
+const ErrEncryptionFailed = 'EncryptionFailed';
 
 
 export {
   StitchError,
+  StitchRequestError,
+  StitchAuthError,
+  StitchServiceError,
+  StitchNetworkError,
   ErrAuthProviderNotFound,
   ErrInvalidSession,
-  ErrUnauthorized
+  ErrUnauthorized,
+  ErrRequestAborted,
+  ErrRequestTimeout,
+  ErrRequestFailed,
+  ErrNetworkError,
+  ErrUserNotFound,
+  ErrPopupBlocked,
+  ErrPopupClosed,
+  ErrRedirectFailed,
+  ErrAccountNameInUse,
+  ErrNotAnonymousUser,
+  ErrInvalidArgument,
+  ErrInvalidOperation,
+  ErrEncryptionFailed
 };
@@ -1,7 +1,11 @@
 import StitchClient from './client';
 import Admin from './admin';
+import StitchUser from './user';
 
 export {
   StitchClient,
-  Admin
+  Admin,
+  StitchUser
 };
+
+export * from './errors';
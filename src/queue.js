@@ -0,0 +1,268 @@
+/* global window, navigator */
+import EventEmitter from './emitter';
+import { LOGIN_EVENT, ACTIVE_USER_CHANGED_EVENT, OFFLINE_QUEUE_KEY } from './auth/common';
+import { StitchAuthError } from './errors';
+
+const DEFAULT_RETRY_DELAY_MS = 30000;
+
+// how long a call claimed for replay is left to the tab which claimed it,
+// e.g. in case that tab is closed before making it
+const CLAIM_TIMEOUT_MS = 60000;
+
+let lastId = 0;
+const generateId = () => `${Date.now().toString(36)}-${(++lastId).toString(36)}-${Math.random().toString(36).substring(2, 8)}`;
+
+/**
+ * Queues function and service calls made while offline, and makes them in
+ * order once back online (not meant to be instantiated directly). Calls which
+ * are not known to be idempotent are queued, i.e. writes such as `insertOne`,
+ * and `executeFunction` calls unless made with the `idempotent` request option;
+ * the `queueOffline` request option overrides this either way. The queue is
+ * kept with the auth data, so that queued calls survive the app being closed,
+ * and calls are only made for the user who made them. Tabs sharing the auth
+ * data share the queue as well, and each call is claimed by the tab which
+ * replays it, so that other tabs do not make it again.
+ *
+ * The Promise for a queued call settles once the call is made, if the page is
+ * still open by then and the call is not made by another tab. Either way, the
+ * queue of the tab which makes the call emits:
+ * - `queued` when a call is queued
+ * - `replayed` with its `result` once a call is made
+ * - `conflict` with the `error` once a call is rejected by the server, after
+ *   which it is dropped
+ *
+ * each with the `id` of the call. Calls which fail for a transient reason,
+ * or because the user must log in again, stay queued.
+ *
+ * @class
+ * @augments EventEmitter
+ * @param {StitchClient} client the client to make calls with
+ * @param {Object} [options] queue options
+ * @param {Number} [options.retryDelayMS] the delay before replaying calls again after a transient failure
+ * @return {OfflineQueue} an OfflineQueue instance.
+ */
+export default class OfflineQueue extends EventEmitter {
+  constructor(client, options) {
+    super();
+    options = Object.assign({}, { retryDelayMS: DEFAULT_RETRY_DELAY_MS }, options);
+
+    this.client = client;
+    this.retryDelayMS = options.retryDelayMS;
+    this._owner = generateId();
+    this._callbacks = {};
+    this._replaying = null;
+    this._replayAgain = false;
+    this._timer = null;
+    this._unsubscribes = [];
+  }
+
+  /**
+   * Replays queued calls now, and whenever the client comes back online or
+   * their user logs in.
+   *
+   * @returns {Promise} which resolves once queued calls are replayed
+   */
+  start() {
+    this.stop();
+    const replay = () => { this.replay(); };
+    this._unsubscribes = [LOGIN_EVENT, ACTIVE_USER_CHANGED_EVENT].map(type => this.client.auth.on(type, replay));
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      window.addEventListener('online', replay);
+      this._unsubscribes.push(() => window.removeEventListener('online', replay));
+    }
+
+    return this.replay();
+  }
+
+  /**
+   * Stops replaying queued calls automatically. Calls stay queued.
+   */
+  stop() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    this._unsubscribes.forEach(unsubscribe => unsubscribe());
+    this._unsubscribes = [];
+  }
+
+  /**
+   * Returns the queued calls, in the order they are made in.
+   *
+   * @returns {Array} objects with the `id` of each call, the `userId` of the user
+   * who made it, and when it was queued (`queuedAt`)
+   */
+  items() {
+    return this._load().map(({ id, userId, queuedAt }) => ({ id, userId, queuedAt }));
+  }
+
+  // Returns whether a call made with the given request options is queued
+  // when offline.
+  shouldQueue(requestOptions = {}) {
+    if (requestOptions.queueOffline !== undefined) {
+      return !!requestOptions.queueOffline;
+    }
+
+    return !requestOptions.idempotent;
+  }
+
+  isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+  }
+
+  // Returns whether calls of the active user are waiting to be made, in which
+  // case further calls are queued behind them to keep them in order.
+  hasPending() {
+    const userId = this.client.authedId();
+    return this._load().some(item => item.userId === userId);
+  }
+
+  // Queues the body of a function call for the active user. It is made along
+  // with the calls being replayed if any, or else once the client comes back
+  // online or the retry delay elapses. Resolves to the result of the call once
+  // made.
+  enqueue(body) {
+    const item = { id: generateId(), userId: this.client.authedId(), body, queuedAt: Date.now() };
+    const called = new Promise((resolve, reject) => {
+      this._callbacks[item.id] = { resolve, reject };
+    });
+
+    return Promise.resolve(this._save(this._load().concat(item)))
+      .then(() => {
+        this.emit('queued', { id: item.id });
+        if (this._replaying) {
+          this._replayAgain = true;
+        } else if (!this._timer) {
+          this._retryLater();
+        }
+        return called;
+      });
+  }
+
+  /**
+   * Makes the queued calls of the active user, one by one, until a call fails
+   * for a transient reason. Calls made while replaying are replayed as well.
+   *
+   * @returns {Promise} which resolves once done
+   */
+  replay() {
+    if (this._replaying) {
+      this._replayAgain = true;
+      return this._replaying;
+    }
+
+    clearTimeout(this._timer);
+    this._timer = null;
+    this._replayAgain = false;
+    const done = () => {
+      this._replaying = null;
+      if (this._replayAgain) {
+        return this.replay();
+      }
+    };
+
+    this._replaying = this._replayNext().then(done, e => {
+      console.error(`StitchClient: failed to replay queued calls: ${e}`);
+      return done();
+    });
+    return this._replaying;
+  }
+
+  _replayNext() {
+    if (this.isOffline()) {
+      return Promise.resolve();
+    }
+
+    const item = this._claimNext();
+    if (!item) {
+      return Promise.resolve();
+    }
+
+    return this.client._callFunction(item.body)
+      .then(result => this._settle(item, 'replayed', { result }), error => {
+        if (error.retryable) {
+          this._release(item);
+          this._retryLater();
+          return false;
+        }
+
+        if (error instanceof StitchAuthError) {
+          this._release(item);
+          return false;
+        }
+
+        return this._settle(item, 'conflict', { error });
+      })
+      .then(replayNext => replayNext && this._replayNext());
+  }
+
+  // Claims the next queued call of the active user for this tab. Returns null
+  // if there is none, or if another tab is making it, in which case the calls
+  // queued after it wait for it.
+  _claimNext() {
+    const userId = this.client.authedId();
+    const items = this._load();
+    const item = items.filter(queued => queued.userId === userId)[0];
+    if (!userId || !item) {
+      return null;
+    }
+
+    const now = Date.now();
+    if (item.claim && item.claim.owner !== this._owner && item.claim.expiresAt > now) {
+      this._retryLater();
+      return null;
+    }
+
+    item.claim = { owner: this._owner, expiresAt: now + CLAIM_TIMEOUT_MS };
+    this._save(items);
+    return item;
+  }
+
+  // Leaves a claimed call to be made later, by any tab.
+  _release(item) {
+    const items = this._load();
+    items.filter(queued => queued.id === item.id).forEach(queued => { delete queued.claim; });
+    return this._save(items);
+  }
+
+  _retryLater() {
+    clearTimeout(this._timer);
+    this._timer = setTimeout(() => this.replay(), this.retryDelayMS);
+  }
+
+  // Drops a call once made, and reports the outcome.
+  _settle(item, type, outcome) {
+    return Promise.resolve(this._save(this._load().filter(queued => queued.id !== item.id)))
+      .then(() => {
+        this.emit(type, Object.assign({ id: item.id }, outcome));
+        const callbacks = this._callbacks[item.id];
+        delete this._callbacks[item.id];
+        if (callbacks) {
+          if (type === 'replayed') {
+            callbacks.resolve(outcome.result);
+          } else {
+            callbacks.reject(outcome.error);
+          }
+        }
+        return true;
+      });
+  }
+
+  _load() {
+    const data = this.client.auth.storage.get(OFFLINE_QUEUE_KEY);
+    if (!data) {
+      return [];
+    }
+
+    try {
+      return JSON.parse(data);
+    } catch (e) {
+      console.error(`StitchClient: dropping malformed offline queue: ${e}`);
+      return [];
+    }
+  }
+
+  _save(items) {
+    return items.length ?
+      this.client.auth.storage.set(OFFLINE_QUEUE_KEY, JSON.stringify(items)) :
+      this.client.auth.storage.remove(OFFLINE_QUEUE_KEY);
+  }
+}
@@ -0,0 +1,132 @@
+/** @namespace retry */
+
+/**
+ * HTTP statuses of responses from an overloaded or temporarily unavailable
+ * server, which may succeed if the request is repeated later.
+ *
+ * @memberof retry
+ */
+export const RETRYABLE_STATUS_CODES = [429, 502, 503, 504];
+
+/**
+ * The retry policy used by a StitchClient when none is specified.
+ *
+ * @memberof retry
+ * @property {Number} maxAttempts the total number of attempts made for a request, including the first
+ * @property {Number} baseDelayMS the delay before the first retry; doubled on every subsequent retry
+ * @property {Number} maxDelayMS the upper bound for the delay between two attempts
+ * @property {Boolean} jitter whether to randomize delays to avoid synchronized retries across clients
+ * @property {Array} retryableStatusCodes HTTP status codes which are considered transient
+ * @property {Array} retryableErrorCodes Stitch `error_code` values which are considered transient
+ * @property {Boolean} retryNonIdempotent whether requests which are not known to be idempotent may be replayed
+ */
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelayMS: 100,
+  maxDelayMS: 2000,
+  jitter: true,
+  retryableStatusCodes: RETRYABLE_STATUS_CODES,
+  retryableErrorCodes: [],
+  retryNonIdempotent: false
+};
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+/**
+ * Merges a retry policy override into a base policy. An override of `false`
+ * disables retries entirely.
+ *
+ * @memberof retry
+ * @param {Object} policy the base retry policy
+ * @param {Object|Boolean} [override] the settings to override
+ * @returns {Object} the resulting retry policy
+ */
+export function resolveRetryPolicy(policy, override) {
+  if (override === false) {
+    return Object.assign({}, policy, { maxAttempts: 1 });
+  }
+
+  return Object.assign({}, policy, override);
+}
+
+/**
+ * Returns whether requests using the given HTTP method may safely be replayed.
+ *
+ * @memberof retry
+ * @param {String} method the HTTP method
+ * @returns {Boolean}
+ */
+export function isIdempotentMethod(method) {
+  return IDEMPOTENT_METHODS.indexOf((method || 'GET').toUpperCase()) >= 0;
+}
+
+// set on errors which `fetch` rejected a request with
+const FETCH_FAILURE_FLAG = '_stitchFetchFailure';
+
+/**
+ * Marks an error as raised by `fetch` itself, as opposed to an error thrown by
+ * an interceptor.
+ *
+ * @memberof retry
+ * @param {Error} error the error raised by `fetch`
+ * @returns {Error} the error
+ */
+export function markFetchFailure(error) {
+  if (error && typeof error === 'object') {
+    Object.defineProperty(error, FETCH_FAILURE_FLAG, { value: true, configurable: true });
+  }
+  return error;
+}
+
+/**
+ * Returns whether an error raised by `fetch` indicates that the connection
+ * failed, as opposed to an error response from the server. Only errors marked
+ * with `markFetchFailure` qualify, so that a TypeError thrown by an
+ * interceptor, for instance, is not mistaken for one.
+ *
+ * @memberof retry
+ * @param {Error} error the error raised by `fetch`
+ * @returns {Boolean}
+ */
+export function isNetworkError(error) {
+  // browsers reject with a TypeError, node-fetch with a FetchError; compare
+  // names since the error may come from another realm
+  return !!error && error[FETCH_FAILURE_FLAG] === true &&
+    (error.name === 'TypeError' || error.name === 'FetchError');
+}
+
+/**
+ * Resolves to whether a response should be retried under the given policy.
+ *
+ * @memberof retry
+ * @param {Response} response the response received from the server
+ * @param {Object} policy the retry policy
+ * @returns {Promise}
+ */
+export function isRetryableResponse(response, policy) {
+  if (policy.retryableStatusCodes.indexOf(response.status) >= 0) {
+    return Promise.resolve(true);
+  }
+
+  if (response.status < 400 || !policy.retryableErrorCodes.length) {
+    return Promise.resolve(false);
+  }
+
+  // read from a clone so the caller can still consume the body
+  return response.clone().json()
+    .then(json => policy.retryableErrorCodes.indexOf(json.error_code) >= 0)
+    .catch(() => false);
+}
+
+/**
+ * Computes the delay before the given retry using exponential backoff.
+ *
+ * @memberof retry
+ * @param {Object} policy the retry policy
+ * @param {Number} retry the number of the upcoming retry, starting at 1
+ * @returns {Number} the delay in milliseconds
+ */
+export function backoffDelay(policy, retry) {
+  const delay = Math.min(policy.maxDelayMS, policy.baseDelayMS * Math.pow(2, retry - 1));
+  return policy.jitter ? Math.random() * delay : delay;
+}
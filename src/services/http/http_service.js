@@ -1,4 +1,4 @@
-import { serviceResponse } from '../../util';
+import { serviceResponse, extractRequestOptions } from '../../util';
 
 /**
  * Convenience wrapper for HTTP service (not meant to be instantiated directly).
@@ -18,10 +18,12 @@ class HTTPService {
    * @param {String|Object} urlOrOptions the url to request, or an object of GET args
    * @param {Object} [options] optional settings for the GET operation
    * @param {String} [options.authUrl] url that grants a cookie
+   * @param {AbortSignal} [options.signal] a signal which cancels the request when aborted
+   * @param {Number} [options.timeoutMS] the number of milliseconds after which the request is cancelled
    * @return {Promise}
    */
   get(urlOrOptions, options = {}) {
-    return buildResponse('get', this, buildArgs(urlOrOptions, options));
+    return buildResponse('get', this, buildArgs(urlOrOptions, options), extractRequestOptions(options));
   }
 
   /**
@@ -30,10 +32,12 @@ class HTTPService {
    * @param {String|Object} urlOrOptions the url to request, or an object of POST args
    * @param {Object} [options] optional settings for the POST operation
    * @param {String} [options.authUrl] url that grants a cookie
+   * @param {AbortSignal} [options.signal] a signal which cancels the request when aborted
+   * @param {Number} [options.timeoutMS] the number of milliseconds after which the request is cancelled
    * @return {Promise}
    */
   post(urlOrOptions, options = {}) {
-    return buildResponse('post', this, buildArgs(urlOrOptions, options));
+    return buildResponse('post', this, buildArgs(urlOrOptions, options), extractRequestOptions(options));
   }
 
   /**
@@ -42,10 +46,12 @@ class HTTPService {
    * @param {String|Object} urlOrOptions the url to request, or an object of PUT args
    * @param {Object} [options] optional settings for the PUT operation
    * @param {String} [options.authUrl] url that grants a cookie
+   * @param {AbortSignal} [options.signal] a signal which cancels the request when aborted
+   * @param {Number} [options.timeoutMS] the number of milliseconds after which the request is cancelled
    * @return {Promise}
    */
   put(urlOrOptions, options = {}) {
-    return buildResponse('put', this, buildArgs(urlOrOptions, options));
+    return buildResponse('put', this, buildArgs(urlOrOptions, options), extractRequestOptions(options));
   }
 
   /**
@@ -54,10 +60,12 @@ class HTTPService {
    * @param {String|Object} urlOrOptions the url to request, or an object of PATCH args
    * @param {Object} [options] optional settings for the PATCH operation
    * @param {String} [options.authUrl] url that grants a cookie
+   * @param {AbortSignal} [options.signal] a signal which cancels the request when aborted
+   * @param {Number} [options.timeoutMS] the number of milliseconds after which the request is cancelled
    * @return {Promise}
    */
   patch(urlOrOptions, options = {}) {
-    return buildResponse('patch', this, buildArgs(urlOrOptions, options));
+    return buildResponse('patch', this, buildArgs(urlOrOptions, options), extractRequestOptions(options));
   }
 
   /**
@@ -66,10 +74,12 @@ class HTTPService {
    * @param {String|Object} urlOrOptions the url to request, or an object of DELETE args
    * @param {Object} [options] optional settings for the DELETE operation
    * @param {String} [options.authUrl] url that grants a cookie
+   * @param {AbortSignal} [options.signal] a signal which cancels the request when aborted
+   * @param {Number} [options.timeoutMS] the number of milliseconds after which the request is cancelled
    * @return {Promise}
    */
   delete(urlOrOptions, options = {}) {
-    return buildResponse('delete', this, buildArgs(urlOrOptions, options));
+    return buildResponse('delete', this, buildArgs(urlOrOptions, options), extractRequestOptions(options));
   }
 
   /**
@@ -78,10 +88,12 @@ class HTTPService {
    * @param {String|Object} urlOrOptions the url to request, or an object of HEAD args
    * @param {Object} [options] optional settings for the HEAD operation
    * @param {String} [options.authUrl] url that grants a cookie
+   * @param {AbortSignal} [options.signal] a signal which cancels the request when aborted
+   * @param {Number} [options.timeoutMS] the number of milliseconds after which the request is cancelled
    * @return {Promise}
    */
   head(urlOrOptions, options = {}) {
-    return buildResponse('head', this, buildArgs(urlOrOptions, options));
+    return buildResponse('head', this, buildArgs(urlOrOptions, options), extractRequestOptions(options));
   }
 }
 
@@ -97,11 +109,11 @@ function buildArgs(urlOrOptions, options) {
   return args;
 }
 
-function buildResponse(action, service, args) {
+function buildResponse(action, service, args, requestOptions) {
   return serviceResponse(service, {
     action,
     args
-  });
+  }, requestOptions);
 }
 
 export default HTTPService;
@@ -1,4 +1,4 @@
-import { serviceResponse } from '../../util';
+import { serviceResponse, extractRequestOptions } from '../../util';
 
 /**
  * Create a new Collection instance (not meant to be instantiated directly).
@@ -17,11 +17,14 @@ class Collection {
    *
    * @method
    * @param {Object} doc The document to insert.
+   * @param {Object} [options] Additional options object.
+   * @param {AbortSignal} [options.signal] a signal which cancels the request when aborted
+   * @param {Number} [options.timeoutMS] the number of milliseconds after which the request is cancelled
    * @return {Promise<Object, Error>} a Promise for the operation.
    */
-  insertOne(doc) {
+  insertOne(doc, options = {}) {
     const args = { document: doc };
-    return buildResponse('insertOne', this, buildArgs(this, args));
+    return buildResponse('insertOne', this, buildArgs(this, args), extractRequestOptions(options));
   }
 
   /**
@@ -29,11 +32,14 @@ class Collection {
    *
    * @method
    * @param {Array} docs The documents to insert.
+   * @param {Object} [options] Additional options object.
+   * @param {AbortSignal} [options.signal] a signal which cancels the request when aborted
+   * @param {Number} [options.timeoutMS] the number of milliseconds after which the request is cancelled
    * @return {Promise<Object, Error>} Returns a Promise for the operation.
    */
-  insertMany(docs) {
+  insertMany(docs, options = {}) {
     const args = { documents: Array.isArray(docs) ? docs : [ docs ] };
-    return buildResponse('insertMany', this, buildArgs(this, args));
+    return buildResponse('insertMany', this, buildArgs(this, args), extractRequestOptions(options));
   }
 
   /**
@@ -41,10 +47,13 @@ class Collection {
    *
    * @method
    * @param {Object} query The query used to match a single document.
+   * @param {Object} [options] Additional options object.
+   * @param {AbortSignal} [options.signal] a signal which cancels the request when aborted
+   * @param {Number} [options.timeoutMS] the number of milliseconds after which the request is cancelled
    * @return {Promise<Object, Error>} Returns a Promise for the operation.
    */
-  deleteOne(query) {
-    return buildResponse('deleteOne', this, buildArgs(this, { query }));
+  deleteOne(query, options = {}) {
+    return buildResponse('deleteOne', this, buildArgs(this, { query }), extractRequestOptions(options));
   }
 
   /**
@@ -52,10 +61,13 @@ class Collection {
    *
    * @method
    * @param {Object} query The query used to match the documents to delete.
+   * @param {Object} [options] Additional options object.
+   * @param {AbortSignal} [options.signal] a signal which cancels the request when aborted
+   * @param {Number} [options.timeoutMS] the number of milliseconds after which the request is cancelled
    * @return {Promise<Object, Error>} Returns a Promise for the operation.
    */
-  deleteMany(query) {
-    return buildResponse('deleteMany', this, buildArgs(this, { query }));
+  deleteMany(query, options = {}) {
+    return buildResponse('deleteMany', this, buildArgs(this, { query }), extractRequestOptions(options));
   }
 
   /**
@@ -66,6 +78,8 @@ class Collection {
    * @param {Object} update The update operations to perform on the matching document.
    * @param {Object} [options] Additional options object.
    * @param {Boolean} [options.upsert=false] Perform an upsert operation.
+   * @param {AbortSignal} [options.signal] a signal which cancels the request when aborted
+   * @param {Number} [options.timeoutMS] the number of milliseconds after which the request is cancelled
    * @return {Promise<Object, Error>} A Promise for the operation.
    */
   updateOne(query, update, options = {}) {
@@ -80,10 +94,12 @@ class Collection {
    * @param {Object} update The update operations to perform on the matching documents.
    * @param {Object} [options] Additional options object.
    * @param {Boolean} [options.upsert=false] Perform an upsert operation.
+   * @param {AbortSignal} [options.signal] a signal which cancels the request when aborted
+   * @param {Number} [options.timeoutMS] the number of milliseconds after which the request is cancelled
    * @return {Promise<Object, Error>} Returns a Promise for the operation.
    */
-  updateMany(query, update) {
-    return updateOp(this, true, query, update);
+  updateMany(query, update, options = {}) {
+    return updateOp(this, true, query, update, options);
   }
 
   /**
@@ -93,7 +109,9 @@ class Collection {
    * @param {Object} query The query used to match documents.
    * @param {Object} [project] The query document projection.
    * @return {MongoQuery} An object which allows for `limit` and `sort` parameters to be set.
-   * `execute` will return a {Promise} for the operation.
+   * `execute` will return a {Promise} for the operation, and accepts an optional
+   * options object with a `signal` or `timeoutMS` to cancel the query, and the
+   * `cache` request option.
    */
   find(query, project) {
     return new MongoQuery(this, query, project);
@@ -103,10 +121,14 @@ class Collection {
    * Executes an aggregation pipeline.
    *
    * @param {Array} pipeline The aggregation pipeline.
+   * @param {Object} [options] Additional options object.
+   * @param {AbortSignal} [options.signal] a signal which cancels the request when aborted
+   * @param {Number} [options.timeoutMS] the number of milliseconds after which the request is cancelled
+   * @param {Boolean|Object} [options.cache] the `cache` request option
    * @returns {Array} The results of the aggregation.
    */
-  aggregate(pipeline) {
-    return aggregateOp(this, pipeline);
+  aggregate(pipeline, options = {}) {
+    return aggregateOp(this, pipeline, extractRequestOptions(options));
   }
 
   /**
@@ -115,6 +137,9 @@ class Collection {
    * @param {Object} query The query used to match documents.
    * @param {Object} options Additional count options.
    * @param {Number} [options.limit=null] The maximum number of documents to return.
+   * @param {AbortSignal} [options.signal] a signal which cancels the request when aborted
+   * @param {Number} [options.timeoutMS] the number of milliseconds after which the request is cancelled
+   * @param {Boolean|Object} [options.cache] the `cache` request option
    * @return {Number} The results of the count operation.
    */
   count(query, options = {}) {
@@ -123,12 +148,24 @@ class Collection {
       outgoingOptions = { limit: options.limit };
     }
 
-    return buildResponse('count', this, buildArgs(this, { count: true, query }, outgoingOptions));
+    return buildResponse(
+      'count',
+      this,
+      buildArgs(this, { count: true, query }, outgoingOptions),
+      readOptions(extractRequestOptions(options))
+    );
   }
 }
 
 // private
 
+// reads may safely be replayed when a transient failure occurs
+const READ_OPTIONS = { idempotent: true };
+
+function readOptions(requestOptions) {
+  return Object.assign({}, READ_OPTIONS, requestOptions);
+}
+
 function updateOp(service, isMulti, query, update, options = {}) {
   const action = isMulti ? 'updateMany' : 'updateOne';
 
@@ -137,15 +174,20 @@ function updateOp(service, isMulti, query, update, options = {}) {
     outgoingOptions = { upsert: true };
   }
 
-  return buildResponse(action, service, buildArgs(service, { query, update }, outgoingOptions));
+  return buildResponse(action, service, buildArgs(service, { query, update }, outgoingOptions), extractRequestOptions(options));
 }
 
-function findOp({ service, query, project, limit, sort }) {
-  return buildResponse('find', service, buildArgs(service, { query, project, limit, sort }));
+function findOp({ service, query, project, limit, sort }, requestOptions) {
+  return buildResponse(
+    'find',
+    service,
+    buildArgs(service, { query, project, limit, sort }),
+    readOptions(requestOptions)
+  );
 }
 
-function aggregateOp(service, pipeline) {
-  return buildResponse('aggregate', service, buildArgs(service, { pipeline }));
+function aggregateOp(service, pipeline, requestOptions) {
+  return buildResponse('aggregate', service, buildArgs(service, { pipeline }), readOptions(requestOptions));
 }
 
 function buildArgs({ db: { name: database }, name: collection }, args, options = {}) {
@@ -156,12 +198,12 @@ function buildArgs({ db: { name: database }, name: collection }, args, options =
   );
 }
 
-function buildResponse(action, service, args) {
+function buildResponse(action, service, args, requestOptions) {
   return serviceResponse(service.db, {
     serviceName: service.db.service,
     action,
     args
-  });
+  }, requestOptions);
 }
 
 // mongo query (find) support
@@ -186,8 +228,8 @@ MongoQuery.prototype.sort = function(sort) {
   return this;
 };
 
-MongoQuery.prototype.execute = function(resolve) {
-  return findOp(this);
+MongoQuery.prototype.execute = function(options) {
+  return findOp(this, extractRequestOptions(options));
 };
 
 export default Collection;
@@ -0,0 +1,112 @@
+import { StitchAuthError, ErrUserNotFound } from './errors';
+
+/**
+ * A logged in user of a StitchClient, as returned by `client.currentUser` (not
+ * meant to be instantiated directly). The profile is fetched by `refresh`, and
+ * fetched again whenever another user logs in or becomes active, an identity
+ * is linked or the access token is refreshed, for the user returned by
+ * `client.currentUser` from then on. Token claims always reflect the current
+ * access token, including after it is refreshed.
+ *
+ * @class
+ * @param {StitchClient} client the client the user is logged in on
+ * @param {String} id the ID of the user
+ * @return {StitchUser} a StitchUser instance.
+ */
+export default class StitchUser {
+  constructor(client, id) {
+    this.client = client;
+    this.id = id;
+    this.profile = null;
+    this._refreshing = null;
+  }
+
+  /**
+   * Whether the user is still the active user of the client.
+   *
+   * @type {Boolean}
+   */
+  get isActive() {
+    return this.client.authedId() === this.id;
+  }
+
+  /**
+   * The user's data from their profile, such as `name` and `email`, or an
+   * empty object before the profile is fetched.
+   *
+   * @type {Object}
+   */
+  get data() {
+    return (this.profile && this.profile.data) || {};
+  }
+
+  /**
+   * The identities linked to the user, each with its `id` and `provider_type`,
+   * or an empty array before the profile is fetched.
+   *
+   * @type {Array}
+   */
+  get identities() {
+    return (this.profile && this.profile.identities) || [];
+  }
+
+  /**
+   * The distinct provider types of the user's identities, e.g. `anon-user` or
+   * `local-userpass`.
+   *
+   * @type {Array}
+   */
+  get providers() {
+    return this.identities
+      .map(identity => identity.provider_type)
+      .filter((type, idx, types) => types.indexOf(type) === idx);
+  }
+
+  /**
+   * The decoded claims of the user's access token, or null if the user is no
+   * longer active.
+   *
+   * @type {Object}
+   */
+  get claims() {
+    return this.isActive ? this.client.auth.getAccessTokenClaims() : null;
+  }
+
+  /**
+   * When the user's access token expires, in milliseconds since the epoch, or
+   * null if the user is no longer active.
+   *
+   * @type {Number}
+   */
+  get accessTokenExpiration() {
+    return this.isActive ? this.client.auth.getAccessTokenExpiration() : null;
+  }
+
+  /**
+   * Fetches the user's profile. Concurrent calls share the same request.
+   *
+   * @returns {Promise} which resolves to this user once the profile is fetched
+   */
+  refresh() {
+    if (!this.isActive) {
+      return Promise.reject(new StitchAuthError(`User ${this.id} is no longer the active user`, ErrUserNotFound));
+    }
+
+    if (!this._refreshing) {
+      this._refreshing = this.client.userProfile()
+        .then(profile => {
+          this._refreshing = null;
+          // another user may have become active in the meantime
+          if (this.isActive) {
+            this.profile = profile;
+          }
+          return this;
+        }, e => {
+          this._refreshing = null;
+          throw e;
+        });
+    }
+
+    return this._refreshing;
+  }
+}
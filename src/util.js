@@ -1,5 +1,6 @@
 import * as platform from 'detect-browser';
 import * as base64 from 'Base64';
+import { StitchRequestError, StitchServiceError, ErrInvalidOperation, ErrRequestAborted, ErrRequestTimeout } from './errors';
 
 const RESULT_METADATA_KEY = '_stitch_metadata';
 
@@ -71,16 +72,18 @@ function deprecate(fn, msg) {
  * @param {Object} service the service to execute the action on
  * @param {String} action the service action to execute
  * @param {Array} args the arguments to supply to the service action invocation
+ * @param {Object} [requestOptions] request options to apply to the function call (see `StitchClient.withRequestOptions`)
  * @returns {Promise} the API response from the executed service action
  */
-function serviceResponse(service, { serviceName = service.serviceName, action, args }) {
+function serviceResponse(service, { serviceName = service.serviceName, action, args }, requestOptions) {
   const { client } = service;
 
   if (!client) {
-    throw new Error('Service has no client');
+    throw new StitchServiceError('Service has no client', ErrInvalidOperation);
   }
 
-  return client.executeServiceFunction(serviceName, action, args);
+  const target = requestOptions ? client.withRequestOptions(requestOptions) : client;
+  return target.executeServiceFunction(serviceName, action, args);
 }
 
 /**
@@ -106,9 +109,103 @@ function uriEncodeObject(obj) {
   return encodeURIComponent(base64.btoa(JSON.stringify(obj)));
 }
 
+/**
+ * Utility function to pick the request options (see `StitchClient.withRequestOptions`)
+ * out of an options object supplied to a service method.
+ *
+ * @memberof util
+ * @param {Object} options the options supplied to the service method
+ * @returns {Object} the request options, or undefined if none were supplied
+ */
+function extractRequestOptions(options = {}) {
+  const { signal, timeoutMS, cache } = options;
+  if (signal === undefined && timeoutMS === undefined && cache === undefined) {
+    return undefined;
+  }
+
+  const requestOptions = { signal, timeoutMS };
+  if (cache !== undefined) {
+    requestOptions.cache = cache;
+  }
+  return requestOptions;
+}
+
+/**
+ * Utility function which runs an operation that can be cancelled through an
+ * AbortSignal or a timeout. The operation is passed a cancellation object with
+ * a `reason` property, set once cancelled, and a `signal` property, which can be
+ * handed to `fetch` where AbortController is supported.
+ *
+ * @memberof util
+ * @param {AbortSignal} [signal] a signal which cancels the operation when aborted
+ * @param {Number} [timeoutMS] the number of milliseconds after which the operation is cancelled
+ * @param {Function} operation the operation to run, returning a Promise
+ * @returns {Promise} the result of the operation, or a rejection with a StitchRequestError
+ * coded `RequestAborted` or `RequestTimeout` if cancelled first
+ */
+function withCancellation(signal, timeoutMS, operation) {
+  const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+  const cancellation = { reason: null, signal: controller ? controller.signal : undefined };
+
+  let timer;
+  let onAbort;
+  const cancelled = new Promise((resolve, reject) => {
+    const cancel = (reason) => {
+      if (cancellation.reason) {
+        return;
+      }
+
+      cancellation.reason = reason;
+      if (controller) {
+        controller.abort();
+      }
+      reject(reason);
+    };
+
+    if (signal) {
+      onAbort = () => cancel(new StitchRequestError('Request aborted', ErrRequestAborted));
+      if (signal.aborted) {
+        onAbort();
+      } else {
+        signal.addEventListener('abort', onAbort);
+      }
+    }
+
+    if (timeoutMS) {
+      timer = setTimeout(
+        () => cancel(new StitchRequestError(`Request timed out after ${timeoutMS}ms`, ErrRequestTimeout, { retryable: true })),
+        timeoutMS
+      );
+    }
+  });
+
+  const dispose = () => {
+    clearTimeout(timer);
+    if (signal && onAbort) {
+      signal.removeEventListener('abort', onAbort);
+    }
+  };
+
+  if (cancellation.reason) {
+    dispose();
+    return cancelled;
+  }
+
+  return Promise.race([Promise.resolve().then(() => operation(cancellation)), cancelled])
+    .then(result => {
+      dispose();
+      return result;
+    }, error => {
+      dispose();
+      throw error;
+    });
+}
+
 export {
   deprecate,
   serviceResponse,
+  extractRequestOptions,
+  withCancellation,
   getPlatform,
   uriEncodeObject
 };
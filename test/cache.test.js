@@ -0,0 +1,191 @@
+import sinon from 'sinon';
+const fetchMock = require('fetch-mock');
+import { StitchClient } from '../src';
+import { ErrRequestAborted, ErrRequestTimeout } from '../src/errors';
+import { LOCALAUTH_URL, FUNCTION_CALL_URL, SESSION_URL, hexStr } from './constants';
+import { settle, TestSignal } from './testutil';
+
+const NOW = 1500000000000;
+
+describe('result cache', () => {
+  let clock;
+  let client;
+  let calls;
+  let version;
+  beforeEach(() => {
+    clock = sinon.useFakeTimers(NOW, 'Date');
+    fetchMock.restore();
+    calls = [];
+    version = 1;
+    fetchMock.post(LOCALAUTH_URL, { user_id: hexStr, access_token: 'access-token', refresh_token: 'refresh-token' });
+    fetchMock.delete(SESSION_URL, {});
+    fetchMock.post(FUNCTION_CALL_URL, (url, opts) => {
+      const call = JSON.parse(opts.body);
+      const args = call.arguments[0] || {};
+      calls.push(call.service ? `${call.name} ${args.collection}` : call.name);
+      return { version };
+    });
+
+    client = new StitchClient('testapp', { retry: false, cache: { maxEntries: 3, ttlMS: 1000 } });
+    return client.login('user', 'password');
+  });
+
+  afterEach(() => {
+    clock.restore();
+    fetchMock.restore();
+  });
+
+  const collection = name => client.service('mongodb', 'mongodb1').db('db').collection(name);
+
+  it('caches reads', () => {
+    return collection('items').find({ a: 1 }).execute()
+      .then(() => collection('items').find({ a: 1 }).execute())
+      .then(result => {
+        expect(result).toEqual({ version: 1 });
+        expect(calls).toEqual(['find items']);
+        return collection('items').find({ a: 2 }).execute();
+      })
+      .then(() => expect(calls).toEqual(['find items', 'find items']));
+  });
+
+  it('makes identical calls in flight only once', () => {
+    return Promise.all([collection('items').aggregate([]), collection('items').aggregate([])])
+      .then(results => {
+        expect(results).toEqual([{ version: 1 }, { version: 1 }]);
+        expect(calls).toEqual(['aggregate items']);
+      });
+  });
+
+  it('returns a copy of a cached result to each caller', () => {
+    return collection('items').find({}).execute()
+      .then(result => {
+        result.version = 'modified';
+        return collection('items').find({}).execute();
+      })
+      .then(result => {
+        expect(result).toEqual({ version: 1 });
+        expect(calls.length).toEqual(1);
+      });
+  });
+
+  describe('with a shared call in flight', () => {
+    let release;
+    beforeEach(() => {
+      // holds function calls until released
+      const held = new Promise(resolve => { release = resolve; });
+      client.use((request, next) => held.then(() => next(request)));
+    });
+
+    it('only cancels the caller whose signal is aborted', () => {
+      const signal = new TestSignal();
+      const aborted = collection('items').find({}).execute({ signal }).catch(e => e);
+      const other = collection('items').find({}).execute();
+      signal.abort();
+      return aborted
+        .then(error => {
+          expect(error.code).toEqual(ErrRequestAborted);
+          release();
+          return other;
+        })
+        .then(result => {
+          expect(result).toEqual({ version: 1 });
+          expect(calls.length).toEqual(1);
+        });
+    });
+
+    it('applies the timeout of each caller', () => {
+      const other = collection('items').find({}).execute();
+      return collection('items').find({}).execute({ timeoutMS: 10 })
+        .then(() => { throw new Error('expected an error'); }, error => {
+          expect(error.code).toEqual(ErrRequestTimeout);
+          release();
+          return other;
+        })
+        .then(result => expect(result).toEqual({ version: 1 }));
+    });
+  });
+
+  it('only caches function calls which opt in, for their TTL', () => {
+    const cached = client.withRequestOptions({ cache: { ttlMS: 5000 } });
+    return client.executeFunction('getConfig')
+      .then(() => client.executeFunction('getConfig'))
+      .then(() => cached.executeFunction('getConfig'))
+      .then(() => {
+        clock.tick(4000);
+        version = 2;
+        return cached.executeFunction('getConfig');
+      })
+      .then(result => {
+        expect(result).toEqual({ version: 1 });
+        expect(calls).toEqual(['getConfig', 'getConfig', 'getConfig']);
+        clock.tick(1000);
+        return cached.executeFunction('getConfig');
+      })
+      .then(result => {
+        expect(result).toEqual({ version: 2 });
+        expect(calls.length).toEqual(4);
+      });
+  });
+
+  it('serves stale results while revalidating them', () => {
+    const cached = client.withRequestOptions({ cache: { staleWhileRevalidateMS: 5000 } });
+    return cached.executeFunction('getConfig')
+      .then(() => {
+        clock.tick(2000);
+        version = 2;
+        return cached.executeFunction('getConfig');
+      })
+      .then(result => {
+        expect(result).toEqual({ version: 1 });
+        return settle();
+      })
+      .then(() => cached.executeFunction('getConfig'))
+      .then(result => {
+        expect(result).toEqual({ version: 2 });
+        expect(calls).toEqual(['getConfig', 'getConfig']);
+        clock.tick(7000);
+        version = 3;
+        return cached.executeFunction('getConfig');
+      })
+      .then(result => expect(result).toEqual({ version: 3 }));
+  });
+
+  it('drops the least recently used results', () => {
+    const find = name => collection(name).find({}).execute();
+    return find('a')
+      .then(() => find('b'))
+      .then(() => find('c'))
+      .then(() => find('a'))
+      .then(() => find('d'))
+      .then(() => {
+        expect(client.cache.size).toEqual(3);
+        return find('a').then(() => find('b'));
+      })
+      .then(() => expect(calls).toEqual(['find a', 'find b', 'find c', 'find d', 'find b']));
+  });
+
+  it('drops the cached reads of a collection written to', () => {
+    return Promise.all([collection('items').find({}).execute(), collection('other').find({}).execute()])
+      .then(() => collection('items').insertOne({ a: 1 }))
+      .then(() => Promise.all([collection('items').find({}).execute(), collection('other').find({}).execute()]))
+      .then(() => expect(calls).toEqual(['find items', 'find other', 'insertOne items', 'find items']));
+  });
+
+  it('drops results on request', () => {
+    const cached = client.withRequestOptions({ cache: true });
+    return Promise.all([cached.executeFunction('getConfig'), cached.executeFunction('getUser'), collection('items').find({}).execute()])
+      .then(() => {
+        client.cache.invalidate({ name: 'getConfig' });
+        client.cache.invalidate({ service: 'mongodb1', collection: 'items' });
+        expect(client.cache.size).toEqual(1);
+        client.cache.invalidate();
+        expect(client.cache.size).toEqual(0);
+      });
+  });
+
+  it('drops results on logout', () => {
+    return collection('items').find({}).execute()
+      .then(() => client.logout())
+      .then(() => expect(client.cache.size).toEqual(0));
+  });
+});
@@ -0,0 +1,105 @@
+const fetchMock = require('fetch-mock');
+import StitchClient from '../src/client';
+import { ErrRequestAborted, ErrRequestTimeout } from '../src/errors';
+import { LOCALAUTH_URL, FUNCTION_CALL_URL, hexStr } from './constants';
+import { TestSignal } from './testutil';
+
+// holds every request to the given URL until the test ends
+const hang = (url) => (request, next) =>
+  (request.url === url ? new Promise(() => {}) : next(request));
+
+describe('cancellation', () => {
+  let testClient;
+  beforeEach(() => {
+    fetchMock.restore();
+    fetchMock.post(LOCALAUTH_URL, { user_id: hexStr });
+    fetchMock.post(FUNCTION_CALL_URL, () => JSON.stringify({ x: 1 }));
+    testClient = new StitchClient('testapp');
+    return testClient.login('user', 'password');
+  });
+
+  afterEach(() => fetchMock.restore());
+
+  it('rejects a hung request once the timeout elapses', () => {
+    testClient.use(hang(FUNCTION_CALL_URL));
+    return testClient.withRequestOptions({ timeoutMS: 10 }).executeFunction('testfunc')
+      .then(() => { throw new Error('expected an error'); })
+      .catch(e => expect(e.code).toEqual(ErrRequestTimeout));
+  });
+
+  it('rejects a request when its signal is aborted', () => {
+    const signal = new TestSignal();
+    testClient.use(hang(FUNCTION_CALL_URL));
+    const result = testClient.withRequestOptions({ signal }).executeFunction('testfunc');
+    signal.abort();
+    return result
+      .then(() => { throw new Error('expected an error'); })
+      .catch(e => {
+        expect(e.code).toEqual(ErrRequestAborted);
+        expect(signal.listeners).toEqual([]);
+      });
+  });
+
+  it('does not send a request whose signal is already aborted', () => {
+    const signal = new TestSignal();
+    signal.abort();
+    return testClient.withRequestOptions({ signal }).executeFunction('testfunc')
+      .then(() => { throw new Error('expected an error'); })
+      .catch(e => {
+        expect(e.code).toEqual(ErrRequestAborted);
+        expect(fetchMock.calls(FUNCTION_CALL_URL).length).toEqual(0);
+      });
+  });
+
+  it('applies to collection queries', () => {
+    testClient.use(hang(FUNCTION_CALL_URL));
+    return testClient.service('mongodb', 'mdb1').db('db').collection('coll').find({}).execute({ timeoutMS: 10 })
+      .then(() => { throw new Error('expected an error'); })
+      .catch(e => expect(e.code).toEqual(ErrRequestTimeout));
+  });
+
+  it('applies to every collection operation', () => {
+    testClient.use(hang(FUNCTION_CALL_URL));
+    const coll = testClient.service('mongodb', 'mdb1').db('db').collection('coll');
+    const options = { timeoutMS: 10 };
+    return Promise.all([
+      coll.count({}, options),
+      coll.aggregate([], options),
+      coll.insertOne({ a: 1 }, options),
+      coll.insertMany([{ a: 1 }], options),
+      coll.updateOne({ a: 1 }, { $set: { a: 2 } }, options),
+      coll.updateMany({ a: 1 }, { $set: { a: 2 } }, options),
+      coll.deleteOne({ a: 1 }, options),
+      coll.deleteMany({ a: 1 }, options)
+    ].map(result => result.then(() => { throw new Error('expected an error'); }, e => e.code)))
+      .then(codes => expect(codes).toEqual(new Array(8).fill(ErrRequestTimeout)));
+  });
+
+  it('applies to provider logins', () => {
+    const client = new StitchClient('testapp');
+    client.use(hang(LOCALAUTH_URL));
+    return client.withRequestOptions({ timeoutMS: 10 }).login('user', 'password')
+      .then(() => { throw new Error('expected an error'); })
+      .catch(e => expect(e.code).toEqual(ErrRequestTimeout));
+  });
+
+  it('applies to the options of a login', () => {
+    const client = new StitchClient('testapp');
+    client.use(hang(LOCALAUTH_URL));
+    const signal = new TestSignal();
+    const aborted = client.login('user', 'password', { signal });
+    signal.abort();
+    return aborted
+      .then(() => { throw new Error('expected an error'); }, e => {
+        expect(e.code).toEqual(ErrRequestAborted);
+        return client.login('user', 'password', { timeoutMS: 10 });
+      })
+      .then(() => { throw new Error('expected an error'); })
+      .catch(e => expect(e.code).toEqual(ErrRequestTimeout));
+  });
+
+  it('does not affect requests which complete in time', () => {
+    return testClient.withRequestOptions({ timeoutMS: 1000 }).executeFunction('testfunc')
+      .then(response => expect(response.x).toEqual(1));
+  });
+});
@@ -1,4 +1,28 @@
 const DEFAULT_URI = 'mongodb://localhost:26000/test';
 const DEFAULT_SERVER_URL = 'http://localhost:9090';
 
-module.exports = { DEFAULT_URI, DEFAULT_SERVER_URL };
+// the client API endpoints mocked by the unit tests, for the app 'testapp'
+const CLIENT_API_URL = 'https://stitch.mongodb.com/api/client/v2.0';
+const APP_URL = `${CLIENT_API_URL}/app/testapp`;
+const ANON_AUTH_URL = `${APP_URL}/auth/providers/anon-user/login`;
+const APIKEY_AUTH_URL = `${APP_URL}/auth/providers/api-key/login`;
+const LOCALAUTH_URL = `${APP_URL}/auth/providers/local-userpass/login`;
+const FUNCTION_CALL_URL = `${APP_URL}/functions/call`;
+const SESSION_URL = `${CLIENT_API_URL}/auth/session`;
+const PROFILE_URL = `${CLIENT_API_URL}/auth/profile`;
+
+const hexStr = '5899445b275d3ebe8f2ab8c0';
+
+module.exports = {
+  DEFAULT_URI,
+  DEFAULT_SERVER_URL,
+  CLIENT_API_URL,
+  APP_URL,
+  ANON_AUTH_URL,
+  APIKEY_AUTH_URL,
+  LOCALAUTH_URL,
+  FUNCTION_CALL_URL,
+  SESSION_URL,
+  PROFILE_URL,
+  hexStr
+};
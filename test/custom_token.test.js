@@ -0,0 +1,101 @@
+const fetchMock = require('fetch-mock');
+import { StitchClient } from '../src';
+import { JSONTYPE } from '../src/common';
+import { StitchError, ErrInvalidArgument } from '../src/errors';
+import { APP_URL, FUNCTION_CALL_URL, SESSION_URL, hexStr } from './constants';
+
+const CUSTOM_TOKEN_URL = `${APP_URL}/auth/providers/custom-token/login`;
+
+const invalidSession = {
+  body: { error: 'invalid session', error_code: 'InvalidSession' },
+  headers: { 'Content-Type': JSONTYPE },
+  status: 401
+};
+
+describe('custom token provider', () => {
+  let logins;
+  beforeEach(() => {
+    fetchMock.restore();
+    logins = [];
+    fetchMock.post(CUSTOM_TOKEN_URL, (url, opts) => {
+      const body = JSON.parse(opts.body);
+      logins.push(body);
+      if (body.token === 'revoked-jwt') {
+        return { status: 401, body: 'invalid token' };
+      }
+      return { user_id: hexStr, access_token: `access-for-${body.token}`, refresh_token: `refresh-for-${body.token}` };
+    });
+  });
+
+  afterEach(() => fetchMock.restore());
+
+  it('logs in with a token and device info', () => {
+    const client = new StitchClient('testapp');
+    return client.authenticate('customToken', 'my-jwt')
+      .then(userId => {
+        expect(userId).toEqual(hexStr);
+        expect(logins[0].token).toEqual('my-jwt');
+        expect(logins[0].options.device.appId).toEqual('testapp');
+        expect(client.auth.getAccessToken()).toEqual('access-for-my-jwt');
+        expect(client.auth.getProvider()).toEqual('customToken');
+      });
+  });
+
+  it('requires a token', () => {
+    const client = new StitchClient('testapp');
+    return client.authenticate('customToken', {})
+      .then(() => { throw new Error('expected an error'); })
+      .catch(e => {
+        expect(e).toBeInstanceOf(StitchError);
+        expect(e.code).toEqual(ErrInvalidArgument);
+      });
+  });
+
+  describe('with a token source', () => {
+    let tokens;
+    let client;
+    const getToken = () => Promise.resolve(tokens.shift());
+
+    beforeEach(() => {
+      tokens = ['jwt-1', 'jwt-2'];
+      client = new StitchClient('testapp');
+      fetchMock.post(SESSION_URL, (url, opts) => (
+        opts.headers.Authorization === 'Bearer refresh-for-jwt-2' ? { access_token: 'access-for-jwt-2' } : invalidSession
+      ));
+      fetchMock.post(FUNCTION_CALL_URL, (url, opts) => (
+        opts.headers.Authorization === 'Bearer access-for-jwt-2' ? JSON.stringify({ x: 1 }) : invalidSession
+      ));
+      return client.authenticate('customToken', { getToken });
+    });
+
+    it('logs in again with a new token once the session expires', () => {
+      const refreshed = [];
+      client.auth.on('tokenRefreshed', event => refreshed.push(event.userId));
+      return client.executeFunction('testfunc')
+        .then(response => {
+          expect(response.x).toEqual(1);
+          expect(logins.map(login => login.token)).toEqual(['jwt-1', 'jwt-2']);
+          expect(client.auth.getRefreshToken()).toEqual('refresh-for-jwt-2');
+          expect(refreshed[0]).toEqual(hexStr);
+        });
+    });
+
+    it('shares a login between concurrent requests', () => {
+      return Promise.all([client.executeFunction('testfunc'), client.executeFunction('testfunc')])
+        .then(() => expect(logins.length).toEqual(2));
+    });
+
+    it('invalidates the session when logging in again fails', () => {
+      tokens = ['revoked-jwt'];
+      const invalidated = [];
+      client.auth.on('sessionInvalidated', event => invalidated.push(event.userId));
+      return client.executeFunction('testfunc')
+        .then(() => { throw new Error('expected an error'); })
+        .catch(e => {
+          expect(e.code).toEqual('InvalidSession');
+          expect(client.authedId()).toBeUndefined();
+          expect(invalidated).toEqual([hexStr]);
+        });
+    });
+  });
+});
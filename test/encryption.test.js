@@ -0,0 +1,134 @@
+import sinon from 'sinon';
+import { StitchClient } from '../src';
+import { EncryptedStorage, ENCRYPTED_VALUE_PREFIX } from '../src/auth/encryption';
+import { mocks } from 'mock-browser';
+import { memoryStore } from './testutil';
+const MockBrowser = mocks.MockBrowser;
+
+const KEY = new Uint8Array(32).fill(7);
+const OTHER_KEY = new Uint8Array(32).fill(8);
+
+describe('EncryptedStorage', () => {
+  it('should encrypt values at rest', () => {
+    const store = memoryStore();
+    const storage = new EncryptedStorage(store, { getKey: () => KEY });
+    return storage.setItem('token', 'secret-ü')
+      .then(() => {
+        expect(store.data.token.indexOf(ENCRYPTED_VALUE_PREFIX)).toEqual(0);
+        expect(store.data.token).not.toContain('secret');
+        return storage.getItem('token');
+      })
+      .then(value => expect(value).toEqual('secret-ü'));
+  });
+
+  it('should use a new IV for every value', () => {
+    const store = memoryStore();
+    const storage = new EncryptedStorage(store, { getKey: () => KEY });
+    return storage.setItem('a', 'secret')
+      .then(() => storage.setItem('b', 'secret'))
+      .then(() => expect(store.data.a).not.toEqual(store.data.b));
+  });
+
+  it('should read values written before encryption was enabled', () => {
+    const storage = new EncryptedStorage(memoryStore({ token: 'plain' }), { getKey: () => KEY });
+    return storage.getItem('token')
+      .then(value => expect(value).toEqual('plain'))
+      .then(() => storage.getItem('missing'))
+      .then(value => expect(value).toBeNull());
+  });
+
+  it('should encrypt values written before encryption was enabled once read', () => {
+    const store = memoryStore({ token: 'plain' });
+    const storage = new EncryptedStorage(store, { getKey: () => KEY });
+    return storage.getItem('token')
+      .then(() => {
+        expect(store.data.token.indexOf(ENCRYPTED_VALUE_PREFIX)).toEqual(0);
+        return storage.getItem('token');
+      })
+      .then(value => expect(value).toEqual('plain'));
+  });
+
+  it('should treat values encrypted with another key as missing', () => {
+    const store = memoryStore();
+    sinon.stub(console, 'error');
+    return new EncryptedStorage(store, { getKey: () => KEY }).setItem('token', 'secret')
+      .then(() => new EncryptedStorage(store, { getKey: () => OTHER_KEY }).getItem('token'))
+      .then(value => {
+        expect(console.error.calledOnce).toBe(true);
+        console.error.restore();
+        expect(value).toBeNull();
+      });
+  });
+
+  it('should ask for the key once', () => {
+    const getKey = sinon.stub().returns(Promise.resolve(KEY));
+    const storage = new EncryptedStorage(memoryStore(), { getKey });
+    return Promise.all([storage.setItem('a', '1'), storage.setItem('b', '2')])
+      .then(() => storage.getItem('a'))
+      .then(value => {
+        expect(value).toEqual('1');
+        expect(getKey.callCount).toEqual(1);
+      });
+  });
+
+  it('should ask for the key again after failing to get it', () => {
+    const getKey = sinon.stub();
+    getKey.onFirstCall().returns(Promise.reject(new Error('locked')));
+    getKey.returns(KEY);
+    const storage = new EncryptedStorage(memoryStore(), { getKey });
+    return storage.setItem('token', 'secret')
+      .then(() => { throw new Error('expected an error'); }, e => expect(e.message).toEqual('locked'))
+      .then(() => storage.setItem('token', 'secret'))
+      .then(() => storage.getItem('token'))
+      .then(value => expect(value).toEqual('secret'));
+  });
+
+  it('should require a getKey function', () => {
+    expect(() => new EncryptedStorage(memoryStore(), {})).toThrow();
+  });
+
+  describe('with a client', () => {
+    beforeAll(() => {
+      if (!global.window.localStorage) {
+        global.window.localStorage = new MockBrowser().getLocalStorage();
+      }
+    });
+
+    afterEach(() => window.localStorage.clear());
+
+    it('should encrypt auth data in localStorage', () => {
+      const options = { storageEncryption: { getKey: () => KEY } };
+      const client = new StitchClient('app1', options);
+      return client.ready()
+        .then(() => client.auth.set({ user_id: 'user1', access_token: 'token1', refresh_token: 'refresh1' }))
+        .then(() => {
+          expect(window.localStorage.length).toBeGreaterThan(0);
+          for (let i = 0; i < window.localStorage.length; i++) {
+            const key = window.localStorage.key(i);
+            expect(window.localStorage.getItem(key)).not.toMatch(/token1|refresh1/);
+          }
+
+          const restored = new StitchClient('app1', options);
+          return restored.ready().then(() => {
+            expect(restored.authedId()).toEqual('user1');
+            expect(restored.auth.getRefreshToken()).toEqual('refresh1');
+          });
+        });
+    });
+
+    it('should encrypt auth data written before encryption was enabled once loaded', () => {
+      new StitchClient('app1').auth.set({ user_id: 'user1', access_token: 'plain-at', refresh_token: 'plain-rt' });
+      const client = new StitchClient('app1', { storageEncryption: { getKey: () => KEY } });
+      return client.ready()
+        .then(() => {
+          expect(client.authedId()).toEqual('user1');
+          expect(client.auth.getRefreshToken()).toEqual('plain-rt');
+          expect(window.localStorage.length).toBeGreaterThan(0);
+          for (let i = 0; i < window.localStorage.length; i++) {
+            const key = window.localStorage.key(i);
+            expect(window.localStorage.getItem(key)).not.toMatch(/plain-at|plain-rt/);
+          }
+        });
+    });
+  });
+});
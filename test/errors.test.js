@@ -1,4 +1,26 @@
-import { StitchError } from '../src/errors';
+const fetchMock = require('fetch-mock');
+import { StitchClient } from '../src';
+import { JSONTYPE } from '../src/common';
+import {
+  StitchError,
+  StitchRequestError,
+  StitchAuthError,
+  StitchServiceError,
+  StitchNetworkError,
+  ErrInvalidArgument,
+  ErrInvalidSession,
+  ErrNetworkError,
+  ErrRedirectFailed,
+  ErrRequestFailed,
+  ErrUnauthorized
+} from '../src/errors';
+import { LOCALAUTH_URL, FUNCTION_CALL_URL, SESSION_URL, PROFILE_URL, hexStr } from './constants';
+
+const jsonError = (status, error, errorCode) => ({
+  status,
+  headers: { 'Content-Type': JSONTYPE },
+  body: { error, error_code: errorCode }
+});
 
 describe('StitchError', () => {
   it('reports a full stack trace', () => {
@@ -6,4 +28,109 @@ describe('StitchError', () => {
     expect(err.toString()).toEqual('StitchError: Oh noes!');
     expect(err.stack.length).toBeGreaterThan(err.toString().length);
   });
+
+  it('has subclasses for each kind of failure', () => {
+    const authError = new StitchAuthError('Must auth first', ErrUnauthorized);
+    expect(authError).toBeInstanceOf(StitchRequestError);
+    expect(authError).toBeInstanceOf(StitchError);
+    expect(authError.toString()).toEqual('StitchAuthError: Must auth first');
+    expect(authError.retryable).toBe(false);
+
+    const networkError = new StitchNetworkError('Failed to fetch');
+    expect(networkError).toBeInstanceOf(StitchError);
+    expect(networkError.code).toEqual(ErrNetworkError);
+    expect(networkError.retryable).toBe(true);
+  });
+
+  it('is raised for invalid arguments', () => {
+    expect(() => new StitchClient('testapp', { storageEncryption: {} })).toThrow(StitchError);
+    try {
+      new StitchClient('testapp').auth.on('login', null);
+      throw new Error('expected an error');
+    } catch (e) {
+      expect(e).toBeInstanceOf(StitchError);
+      expect(e.code).toEqual(ErrInvalidArgument);
+    }
+  });
+
+  it('is raised for malformed user auth data', () => {
+    try {
+      new StitchClient('testapp').auth.unmarshallUserAuth('not-user-auth');
+      throw new Error('expected an error');
+    } catch (e) {
+      expect(e).toBeInstanceOf(StitchAuthError);
+      expect(e.code).toEqual(ErrRedirectFailed);
+    }
+  });
+});
+
+describe('request errors', () => {
+  let client;
+  beforeEach(() => {
+    fetchMock.restore();
+    fetchMock.post(LOCALAUTH_URL, (url, opts) => (
+      JSON.parse(opts.body).password === 'password' ?
+        { user_id: hexStr, access_token: 'access-token', refresh_token: 'refresh-token' } :
+        jsonError(401, 'invalid username/password', 'InvalidPassword')
+    ));
+    client = new StitchClient('testapp', { retry: false });
+    return client.login('user', 'password');
+  });
+
+  afterEach(() => fetchMock.restore());
+
+  const expectError = (promise, check) => promise
+    .then(() => { throw new Error('expected an error'); }, check);
+
+  it('raises auth errors for failed logins', () => {
+    return expectError(client.addUser('userpass', { username: 'user', password: 'wrong' }), e => {
+      expect(e).toBeInstanceOf(StitchAuthError);
+      expect(e.code).toEqual('InvalidPassword');
+      expect(e.errorCode).toEqual('InvalidPassword');
+      expect(e.status).toEqual(401);
+      expect(e.retryable).toBe(false);
+    });
+  });
+
+  it('raises auth errors for invalid sessions', () => {
+    fetchMock.post(FUNCTION_CALL_URL, jsonError(401, 'invalid session', 'InvalidSession'));
+    fetchMock.post(SESSION_URL, jsonError(401, 'invalid session', 'InvalidSession'));
+    return expectError(client.executeFunction('testfunc'), e => {
+      expect(e).toBeInstanceOf(StitchAuthError);
+      expect(e.code).toEqual(ErrInvalidSession);
+      expect(client.authedId()).toBeUndefined();
+    });
+  });
+
+  it('raises service errors for failed function calls', () => {
+    fetchMock.post(FUNCTION_CALL_URL, jsonError(400, 'function not found', 'FunctionNotFound'));
+    return expectError(client.executeFunction('testfunc'), e => {
+      expect(e).toBeInstanceOf(StitchServiceError);
+      expect(e.message).toEqual('function not found');
+      expect(e.code).toEqual('FunctionNotFound');
+      expect(e.status).toEqual(400);
+      expect(e.json.error_code).toEqual('FunctionNotFound');
+    });
+  });
+
+  it('raises retryable errors for non-JSON responses of an unavailable server', () => {
+    fetchMock.post(FUNCTION_CALL_URL, { status: 503, body: 'Service Unavailable' });
+    return expectError(client.executeFunction('testfunc'), e => {
+      expect(e).toBeInstanceOf(StitchServiceError);
+      expect(e.code).toEqual(ErrRequestFailed);
+      expect(e.errorCode).toBeUndefined();
+      expect(e.status).toEqual(503);
+      expect(e.retryable).toBe(true);
+    });
+  });
+
+  it('raises network errors when no response is received', () => {
+    fetchMock.get(PROFILE_URL, { throws: new TypeError('Failed to fetch') });
+    return expectError(client.userProfile(), e => {
+      expect(e).toBeInstanceOf(StitchNetworkError);
+      expect(e.code).toEqual(ErrNetworkError);
+      expect(e.retryable).toBe(true);
+      expect(e.cause.message).toEqual('Failed to fetch');
+    });
+  });
 });
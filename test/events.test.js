@@ -0,0 +1,98 @@
+const fetchMock = require('fetch-mock');
+import sinon from 'sinon';
+import StitchClient from '../src/client';
+import { JSONTYPE } from '../src/common';
+import { LOCALAUTH_URL, FUNCTION_CALL_URL, SESSION_URL, hexStr } from './constants';
+
+const invalidSession = {
+  body: {error: 'invalid session', error_code: 'InvalidSession'},
+  headers: { 'Content-Type': JSONTYPE },
+  status: 401
+};
+
+describe('auth events', () => {
+  let testClient;
+  let events;
+  beforeEach(() => {
+    fetchMock.restore();
+    fetchMock.post(LOCALAUTH_URL, { user_id: hexStr, access_token: 'access', refresh_token: 'refresh' });
+    fetchMock.delete(SESSION_URL, {});
+    testClient = new StitchClient('testapp');
+    events = [];
+    testClient.onAuthStateChanged(event => events.push(event));
+  });
+
+  afterEach(() => fetchMock.restore());
+
+  it('notifies of logins and logouts', () => {
+    return testClient.login('user', 'password')
+      .then(() => testClient.logout())
+      .then(() => expect(events).toEqual([
+        { type: 'login', userId: hexStr, provider: 'userpass' },
+        { type: 'logout', userId: hexStr }
+      ]));
+  });
+
+  it('does not notify when an existing login is reused', () => {
+    return testClient.login('user', 'password')
+      .then(() => testClient.login('user', 'password'))
+      .then(() => expect(events.length).toEqual(1));
+  });
+
+  it('notifies when a failed refresh invalidates the session', () => {
+    fetchMock.post(FUNCTION_CALL_URL, invalidSession);
+    fetchMock.post(SESSION_URL, invalidSession);
+    return testClient.login('user', 'password')
+      .then(() => testClient.executeFunction('testfunc'))
+      .then(() => { throw new Error('expected an error'); })
+      .catch(e => {
+        expect(e.code).toEqual('InvalidSession');
+        expect(testClient.authedId()).toBeFalsy();
+        expect(events[1]).toEqual({ type: 'sessionInvalidated', userId: hexStr });
+      });
+  });
+
+  it('notifies of token refreshes', () => {
+    const refreshed = [];
+    testClient.auth.on('tokenRefreshed', event => refreshed.push(event));
+    fetchMock.post(SESSION_URL, { access_token: 'new-access' });
+    return testClient.login('user', 'password')
+      .then(() => testClient.auth.refreshToken())
+      .then(() => expect(refreshed).toEqual([{ type: 'tokenRefreshed', userId: hexStr }]));
+  });
+
+  it('stops notifying removed listeners', () => {
+    const client = new StitchClient('testapp');
+    const received = [];
+    const unsubscribe = client.onAuthStateChanged(event => received.push(event));
+    unsubscribe();
+    return client.login('user', 'password')
+      .then(() => expect(received).toEqual([]));
+  });
+
+  it('keeps notifying when a listener throws', () => {
+    const client = new StitchClient('testapp');
+    const received = [];
+    sinon.stub(console, 'error');
+    client.auth.on('login', () => { throw new Error('oops'); });
+    client.onAuthStateChanged(event => received.push(event));
+    return client.login('user', 'password')
+      .then(() => {
+        console.error.restore();
+        expect(received.length).toEqual(1);
+      });
+  });
+
+  it('notifies of redirect errors', () => {
+    const errors = [];
+    testClient.auth.on('redirectError', event => errors.push(event.error));
+    sinon.stub(window.history, 'replaceState');
+    sinon.stub(console, 'error');
+    window.location.hash = '#_stitch_error=oops';
+    testClient.auth.handleRedirect();
+    window.history.replaceState.restore();
+    console.error.restore();
+    window.location.hash = '';
+    expect(errors).toEqual(['oops']);
+  });
+});
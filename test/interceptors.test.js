@@ -0,0 +1,96 @@
+const fetchMock = require('fetch-mock');
+import StitchClient from '../src/client';
+import { LOCALAUTH_URL, FUNCTION_CALL_URL, hexStr } from './constants';
+
+describe('interceptors', () => {
+  beforeEach(() => {
+    fetchMock.restore();
+    fetchMock.post(LOCALAUTH_URL, { user_id: hexStr });
+    fetchMock.post(FUNCTION_CALL_URL, (url, opts) => {
+      return JSON.stringify({ trace: opts.headers['X-Trace-Id'] || null });
+    });
+  });
+
+  afterEach(() => fetchMock.restore());
+
+  it('runs for provider logins and function calls', () => {
+    const seen = [];
+    const testClient = new StitchClient('testapp');
+    testClient.use((request, next) => {
+      seen.push(request.url);
+      return next(request);
+    });
+
+    return testClient.login('user', 'password')
+      .then(() => testClient.executeFunction('testfunc'))
+      .then(() => expect(seen).toEqual([LOCALAUTH_URL, FUNCTION_CALL_URL]));
+  });
+
+  it('can rewrite the outgoing request', () => {
+    const testClient = new StitchClient('testapp');
+    testClient.use((request, next) => {
+      request.fetchArgs.headers['X-Trace-Id'] = 'abc';
+      return next(request);
+    });
+
+    return testClient.login('user', 'password')
+      .then(() => testClient.executeFunction('testfunc'))
+      .then(response => expect(response.trace).toEqual('abc'));
+  });
+
+  it('runs interceptors in registration order around the response', () => {
+    const order = [];
+    const testClient = new StitchClient('testapp');
+    testClient.use((request, next) => {
+      order.push('outer:before');
+      return next().then(response => {
+        order.push('outer:after');
+        return response;
+      });
+    });
+    testClient.use((request, next) => {
+      order.push('inner:before');
+      return next().then(response => {
+        order.push('inner:after');
+        return response;
+      });
+    });
+
+    return testClient.login('user', 'password')
+      .then(() => expect(order).toEqual(['outer:before', 'inner:before', 'inner:after', 'outer:after']));
+  });
+
+  it('propagates errors raised in the chain', () => {
+    const testClient = new StitchClient('testapp');
+    testClient.use((request, next) => {
+      if (request.url === FUNCTION_CALL_URL) {
+        return Promise.reject(new Error('offline'));
+      }
+      return next(request);
+    });
+
+    return testClient.login('user', 'password')
+      .then(() => testClient.executeFunction('testfunc'))
+      .then(() => { throw new Error('expected an error'); })
+      .catch(e => expect(e.message).toEqual('offline'));
+  });
+
+  it('stops running an interceptor once removed', () => {
+    let calls = 0;
+    const testClient = new StitchClient('testapp');
+    const remove = testClient.use((request, next) => {
+      calls++;
+      return next(request);
+    });
+
+    return testClient.login('user', 'password')
+      .then(() => remove())
+      .then(() => testClient.executeFunction('testfunc'))
+      .then(() => expect(calls).toEqual(1));
+  });
+
+  it('rejects interceptors which are not functions', () => {
+    const testClient = new StitchClient('testapp');
+    expect(() => testClient.use({})).toThrow();
+  });
+});
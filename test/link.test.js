@@ -0,0 +1,146 @@
+import sinon from 'sinon';
+const fetchMock = require('fetch-mock');
+import { StitchClient } from '../src';
+import { STATE_KEY } from '../src/auth/common';
+import { ErrUnauthorized } from '../src/errors';
+import { APP_URL, ANON_AUTH_URL, LOCALAUTH_URL, PROFILE_URL, hexStr } from './constants';
+import { settle } from './testutil';
+
+const GOOGLE_URL = `${APP_URL}/auth/providers/oauth2-google/login`;
+const GOOGLE_LOGIN_PAGE = 'https://accounts.google.com/o/oauth2/auth?client_id=abc';
+
+const identities = [
+  { id: 'anon-id', provider_type: 'anon-user' },
+  { id: 'user@10gen.com', provider_type: 'local-userpass' }
+];
+
+describe('linking identities', () => {
+  let client;
+  let links;
+  beforeEach(() => {
+    fetchMock.restore();
+    links = [];
+    fetchMock.get(`begin:${ANON_AUTH_URL}`, { user_id: hexStr, access_token: 'anon-access', refresh_token: 'anon-refresh' });
+    fetchMock.post(`begin:${LOCALAUTH_URL}`, (url, opts) => {
+      links.push({ url, authorization: opts.headers.Authorization });
+      return { user_id: hexStr, access_token: 'linked-access' };
+    });
+    fetchMock.get(PROFILE_URL, { user_id: hexStr, identities });
+
+    client = new StitchClient('testapp');
+    return client.login();
+  });
+
+  afterEach(() => fetchMock.restore());
+
+  it('links a credential identity to the current user', () => {
+    const linked = [];
+    const logins = [];
+    client.auth.on('identityLinked', event => linked.push(event));
+    client.auth.on('login', event => logins.push(event));
+
+    return client.linkWithProvider('userpass', { username: 'user@10gen.com', password: 'password' })
+      .then(result => {
+        expect(result).toEqual(identities);
+        expect(links).toEqual([{ url: `${LOCALAUTH_URL}?link=true`, authorization: 'Bearer anon-access' }]);
+        expect(client.authedId()).toEqual(hexStr);
+        expect(client.auth.getAccessToken()).toEqual('linked-access');
+        expect(client.auth.getRefreshToken()).toEqual('anon-refresh');
+        expect(client.auth.getProvider()).toEqual('anon');
+        expect(linked).toEqual([{ type: 'identityLinked', userId: hexStr, provider: 'userpass' }]);
+        expect(logins).toEqual([]);
+      });
+  });
+
+  it('requires a logged in user', () => {
+    return client.auth.clear()
+      .then(() => client.linkWithProvider('userpass', { username: 'user@10gen.com', password: 'password' }))
+      .then(() => { throw new Error('expected an error'); })
+      .catch(e => {
+        expect(e.code).toEqual(ErrUnauthorized);
+        expect(links).toEqual([]);
+      });
+  });
+
+  describe('with OAuth providers', () => {
+    let popup;
+    beforeEach(() => {
+      fetchMock.get(`begin:${GOOGLE_URL}`, (url, opts) => ({
+        status: 200,
+        headers: { 'X-Stitch-Location': opts.headers.Authorization === 'Bearer anon-access' ? GOOGLE_LOGIN_PAGE : '' }
+      }));
+
+      popup = { closed: false, location: {}, close() { this.closed = true; } };
+      popup.ua = `linked-access$$${hexStr}$device1`;
+      let href;
+      Object.defineProperty(popup.location, 'href', {
+        get: () => href,
+        set: url => {
+          href = url;
+          const state = client.auth.storage.get(STATE_KEY);
+          const ua = popup.ua ? `&_stitch_ua=${encodeURIComponent(popup.ua)}` : '';
+          popup.location.hash = `#_stitch_state=${state}&_stitch_link=ok${ua}`;
+        }
+      });
+      sinon.stub(window, 'open').returns(popup);
+    });
+
+    afterEach(() => window.open.restore());
+
+    it('visits the login URL returned for the current user', () => {
+      return client.linkWithProvider('google', { mode: 'popup' })
+        .then(result => {
+          expect(result).toEqual(identities);
+          expect(popup.location.href).toEqual(GOOGLE_LOGIN_PAGE);
+          expect(fetchMock.lastUrl(`begin:${GOOGLE_URL}`)).toMatch(/&providerRedirectHeader=true&link=true$/);
+          expect(client.authedId()).toEqual(hexStr);
+          expect(client.auth.getAccessToken()).toEqual('linked-access');
+        });
+    });
+
+    it('completes a link which leaves the tokens as they are', () => {
+      const linked = [];
+      client.auth.on('identityLinked', event => linked.push(event));
+      popup.ua = null;
+      return client.linkWithProvider('google', { mode: 'popup' })
+        .then(result => {
+          expect(result).toEqual(identities);
+          expect(client.auth.getAccessToken()).toEqual('anon-access');
+          expect(linked).toEqual([{ type: 'identityLinked', userId: hexStr, provider: 'google' }]);
+        });
+    });
+
+    it('resolves to undefined when leaving the page to link', () => {
+      const linked = [];
+      client.auth.on('identityLinked', event => linked.push(event));
+      sinon.stub(window.location, 'replace');
+      return client.linkWithProvider('google')
+        .then(result => {
+          expect(window.location.replace.calledWith(GOOGLE_LOGIN_PAGE)).toBe(true);
+          window.location.replace.restore();
+          expect(result).toBeUndefined();
+          expect(linked).toEqual([]);
+        });
+    });
+
+    it('completes a link on the redirect back', () => {
+      const linked = [];
+      const logins = [];
+      client.auth.on('identityLinked', event => linked.push(event));
+      client.auth.on('login', event => logins.push(event));
+
+      client.auth.storage.set(STATE_KEY, 'our-state');
+      window.location.hash = '#_stitch_state=our-state&_stitch_link=ok';
+      sinon.stub(window.history, 'replaceState');
+      client.auth.handleRedirect();
+      window.history.replaceState.restore();
+      window.location.hash = '';
+
+      return settle().then(() => {
+        expect(linked).toEqual([{ type: 'identityLinked', userId: hexStr }]);
+        expect(logins).toEqual([]);
+        expect(client.auth.getAccessToken()).toEqual('anon-access');
+      });
+    });
+  });
+});
@@ -0,0 +1,111 @@
+import sinon from 'sinon';
+import { StitchClient } from '../src';
+import { STATE_KEY } from '../src/auth/common';
+import { StitchError, ErrInvalidArgument, ErrRedirectFailed, ErrRequestAborted, ErrRequestTimeout } from '../src/errors';
+import { asyncStore, TestSignal } from './testutil';
+const http = require('http');
+const querystring = require('querystring');
+
+const UA = 'access-token$refresh-token$user1$device1';
+
+const get = url => new Promise((resolve, reject) => {
+  http.get(url, response => {
+    let body = '';
+    response.on('data', chunk => { body += chunk; });
+    response.on('end', () => resolve({ status: response.statusCode, body }));
+  }).on('error', reject);
+});
+
+// plays the part of the browser: logs in with Stitch, which redirects back to
+// the loopback server with the auth data in the fragment; collects the final
+// responses of the server
+const browser = (client, fragment, responses = []) => url => {
+  const redirect = querystring.parse(url.split('?')[1]).redirect;
+  const state = client.auth.storage.get(STATE_KEY);
+  return get(redirect)
+    .then(page => {
+      expect(page.body).toContain('/callback?');
+      return get(`${redirect}callback?${fragment(state)}`);
+    })
+    .then(response => responses.push(response));
+};
+
+describe('loopback login', () => {
+  let client;
+  beforeEach(() => { client = new StitchClient('testapp'); });
+
+  it('resolves with the user ID once redirected back', () => {
+    let loginUrl;
+    let browsing;
+    const responses = [];
+    const openUrl = url => {
+      loginUrl = url;
+      browsing = browser(client, state => `_stitch_state=${state}&_stitch_ua=${encodeURIComponent(UA)}`, responses)(url);
+    };
+
+    return client.authenticate('google', { mode: 'loopback', openUrl })
+      .then(userId => {
+        expect(userId).toEqual('user1');
+        expect(client.auth.getProvider()).toEqual('google');
+        expect(loginUrl).toMatch(/\/providers\/oauth2-google\/login\?redirect=http:\/\/127\.0\.0\.1:\d+\/&/);
+      })
+      .then(() => browsing)
+      .then(() => expect(responses[0].body).toContain('Logged in'));
+  });
+
+  it('rejects when the auth data cannot be stored', () => {
+    const store = asyncStore();
+    const setItem = store.setItem;
+    store.setItem = (key, value) => (/_stitch_ua$/.test(key) ? Promise.reject(new Error('full')) : setItem(key, value));
+    const asyncClient = new StitchClient('testapp', { storage: store });
+    const responses = [];
+    const openUrl = browser(asyncClient, state => `_stitch_state=${state}&_stitch_ua=${encodeURIComponent(UA)}`, responses);
+    let browsing;
+    sinon.stub(console, 'error');
+    return asyncClient.ready()
+      .then(() => asyncClient.authenticate('google', { mode: 'loopback', openUrl: url => { browsing = openUrl(url); } }))
+      .then(() => { throw new Error('expected an error'); }, e => {
+        console.error.restore();
+        expect(e.message).toEqual('full');
+        return browsing;
+      })
+      .then(() => expect(responses[0].body).toContain('Failed to log in'));
+  });
+
+  it('rejects a redirect with a different state', () => {
+    sinon.stub(console, 'error');
+    const openUrl = browser(client, () => `_stitch_state=other&_stitch_ua=${encodeURIComponent(UA)}`);
+    return client.authenticate('google', { mode: 'loopback', openUrl })
+      .then(() => { throw new Error('expected an error'); })
+      .catch(e => {
+        console.error.restore();
+        expect(e.code).toEqual(ErrRedirectFailed);
+        expect(client.authedId()).toBeUndefined();
+      });
+  });
+
+  it('times out when the login is not completed', () => {
+    return client.authenticate('facebook', { mode: 'loopback', openUrl: () => {}, timeoutMS: 50 })
+      .then(() => { throw new Error('expected an error'); })
+      .catch(e => expect(e.code).toEqual(ErrRequestTimeout));
+  });
+
+  it('stops waiting for the login once its signal is aborted', () => {
+    const signal = new TestSignal();
+    return client.authenticate('google', { mode: 'loopback', openUrl: () => signal.abort(), signal })
+      .then(() => { throw new Error('expected an error'); })
+      .catch(e => {
+        expect(e.code).toEqual(ErrRequestAborted);
+        expect(signal.listeners).toEqual([]);
+      });
+  });
+
+  it('requires a function to open the login URL', () => {
+    return client.authenticate('google', { mode: 'loopback' })
+      .then(() => { throw new Error('expected an error'); })
+      .catch(e => {
+        expect(e).toBeInstanceOf(StitchError);
+        expect(e.code).toEqual(ErrInvalidArgument);
+      });
+  });
+});
@@ -0,0 +1,71 @@
+import sinon from 'sinon';
+import { StitchClient } from '../src';
+import { STATE_KEY } from '../src/auth/common';
+import { ErrAuthProviderNotFound } from '../src/errors';
+
+const UA = 'access-token$refresh-token$user1$device1';
+
+// completes a popup login once the popup visits the login URL
+const completingPopup = client => {
+  const popup = { closed: false, location: {}, close() { this.closed = true; } };
+  let href;
+  Object.defineProperty(popup.location, 'href', {
+    get: () => href,
+    set: url => {
+      href = url;
+      const state = client.auth.storage.get(STATE_KEY);
+      popup.location.hash = `#_stitch_state=${state}&_stitch_ua=${encodeURIComponent(UA)}`;
+    }
+  });
+  return popup;
+};
+
+describe('OAuth2 providers', () => {
+  let client;
+  let popup;
+  beforeEach(() => {
+    client = new StitchClient('testapp');
+    popup = completingPopup(client);
+    sinon.stub(window, 'open').returns(popup);
+  });
+
+  afterEach(() => window.open.restore());
+
+  it('logs in with any OAuth2 provider', () => {
+    return client.authenticate('oauth2', { provider: 'github', mode: 'popup' })
+      .then(userId => {
+        expect(userId).toEqual('user1');
+        expect(popup.location.href).toMatch(/\/auth\/providers\/oauth2-github\/login\?/);
+        expect(client.auth.getProvider()).toEqual('github');
+      });
+  });
+
+  it('logs in with a registered OAuth2 provider', () => {
+    client.registerOAuthProvider('github');
+    return client.authenticate('github', { mode: 'popup' })
+      .then(userId => {
+        expect(userId).toEqual('user1');
+        expect(popup.location.href).toMatch(/\/auth\/providers\/oauth2-github\/login\?/);
+        expect(client.auth.getProvider()).toEqual('github');
+      });
+  });
+
+  it('reuses a login through the same OAuth2 provider', () => {
+    return client.authenticate('oauth2', { provider: 'github', mode: 'popup' })
+      .then(() => client.authenticate('oauth2', { provider: 'github', mode: 'popup' }))
+      .then(() => expect(window.open.callCount).toEqual(1));
+  });
+
+  it('rejects invalid provider names', () => {
+    expect(() => client.registerOAuthProvider('../evil')).toThrow();
+    return client.authenticate('oauth2', { mode: 'popup' })
+      .then(() => { throw new Error('expected an error'); })
+      .catch(e => expect(e.code).toEqual(ErrAuthProviderNotFound));
+  });
+
+  it('does not replace built-in providers', () => {
+    expect(() => client.registerOAuthProvider('userpass')).toThrow();
+    client.registerOAuthProvider('github');
+    expect(() => client.registerOAuthProvider('github')).not.toThrow();
+  });
+});
@@ -0,0 +1,155 @@
+import sinon from 'sinon';
+import { StitchClient } from '../src';
+import { STATE_KEY, OAUTH_POPUP_WINDOW_NAME } from '../src/auth/common';
+import { ErrPopupBlocked, ErrPopupClosed, ErrRedirectFailed } from '../src/errors';
+import { asyncStore } from './testutil';
+
+const ORIGIN = `${window.location.protocol}//${window.location.host}`;
+const UA = 'access-token$refresh-token$user1$device1';
+
+const fragment = state => `#_stitch_state=${encodeURIComponent(state)}&_stitch_ua=${encodeURIComponent(UA)}`;
+
+const fakePopup = () => ({
+  closed: false,
+  location: { href: '', hash: '' },
+  close() { this.closed = true; }
+});
+
+// waits for the login URL, and so the state, to be set on the popup
+const navigated = popup => new Promise(resolve => {
+  const check = () => (popup.location.href ? resolve() : setTimeout(check, 0));
+  check();
+});
+
+describe('popup login', () => {
+  let client;
+  let popup;
+  beforeEach(() => {
+    client = new StitchClient('testapp');
+    popup = fakePopup();
+    sinon.stub(window, 'open').returns(popup);
+  });
+
+  afterEach(() => window.open.restore());
+
+  it('resolves with the user ID once the popup is redirected back', () => {
+    const logins = [];
+    client.auth.on('login', event => logins.push(event));
+
+    const login = client.authenticate('google', { mode: 'popup' });
+    return navigated(popup)
+      .then(() => {
+        expect(window.open.calledWith('', OAUTH_POPUP_WINDOW_NAME)).toBe(true);
+        expect(popup.location.href).toMatch(/\/providers\/oauth2-google\/login\?/);
+        popup.location.hash = fragment(client.auth.storage.get(STATE_KEY));
+        return login;
+      })
+      .then(userId => {
+        expect(userId).toEqual('user1');
+        expect(client.auth.getAccessToken()).toEqual('access-token');
+        expect(client.auth.getProvider()).toEqual('google');
+        expect(logins).toEqual([{ type: 'login', userId: 'user1', provider: 'google' }]);
+        expect(popup.closed).toBe(true);
+      });
+  });
+
+  it('receives the redirect from the popup through postMessage', () => {
+    const login = client.authenticate('facebook', { mode: 'popup' });
+    return navigated(popup)
+      .then(() => {
+        const event = new window.Event('message');
+        event.origin = ORIGIN;
+        event.source = popup;
+        event.data = { type: 'stitchOAuthRedirect', fragment: fragment(client.auth.storage.get(STATE_KEY)).substring(1) };
+        window.dispatchEvent(event);
+        return login;
+      })
+      .then(userId => expect(userId).toEqual('user1'));
+  });
+
+  it('rejects a redirect with a different state', () => {
+    sinon.stub(console, 'error');
+    const login = client.authenticate('google', { mode: 'popup' });
+    return navigated(popup)
+      .then(() => {
+        popup.location.hash = fragment('not-our-state');
+        return login;
+      })
+      .then(() => { throw new Error('expected an error'); })
+      .catch(e => {
+        console.error.restore();
+        expect(e.code).toEqual(ErrRedirectFailed);
+        expect(client.authedId()).toBeUndefined();
+      });
+  });
+
+  it('rejects when the popup is closed', () => {
+    const login = client.authenticate('google', { mode: 'popup' });
+    return navigated(popup)
+      .then(() => {
+        popup.close();
+        return login;
+      })
+      .then(() => { throw new Error('expected an error'); })
+      .catch(e => expect(e.code).toEqual(ErrPopupClosed));
+  });
+
+  it('logs in once the auth data is stored', () => {
+    const store = asyncStore();
+    const setItem = store.setItem;
+    const asyncClient = new StitchClient('testapp', { storage: store });
+    const logins = [];
+    asyncClient.auth.on('login', event => logins.push(event));
+    let release;
+    const login = asyncClient.ready()
+      .then(() => asyncClient.authenticate('google', { mode: 'popup' }));
+    return navigated(popup)
+      .then(() => {
+        // holds later writes to the store until released
+        const held = new Promise(resolve => { release = resolve; });
+        store.setItem = (key, value) => held.then(() => setItem(key, value));
+        popup.location.hash = fragment(asyncClient.auth.storage.get(STATE_KEY));
+        return new Promise(resolve => setTimeout(resolve, 250));
+      })
+      .then(() => {
+        expect(logins).toEqual([]);
+        release();
+        return login;
+      })
+      .then(userId => {
+        expect(userId).toEqual('user1');
+        expect(logins.length).toEqual(1);
+        expect(store.data['_stitch.app.testapp._stitch_ua']).toBeDefined();
+      });
+  });
+
+  it('rejects when the popup is blocked', () => {
+    window.open.returns(null);
+    return client.authenticate('google', { mode: 'popup' })
+      .then(() => { throw new Error('expected an error'); })
+      .catch(e => expect(e.code).toEqual(ErrPopupBlocked));
+  });
+});
+
+describe('redirect in a login popup', () => {
+  afterEach(() => {
+    window.name = '';
+    window.location.hash = '';
+  });
+
+  it('is handed over to the opener', () => {
+    const opener = { postMessage: sinon.spy() };
+    const client = new StitchClient('testapp');
+    sinon.stub(window, 'close');
+    Object.defineProperty(window, 'opener', { configurable: true, value: opener });
+    window.name = OAUTH_POPUP_WINDOW_NAME;
+    window.location.hash = '#_stitch_state=abc';
+
+    client.auth.handleRedirect();
+    window.close.restore();
+    delete window.opener;
+
+    expect(opener.postMessage.calledWith({ type: 'stitchOAuthRedirect', fragment: '_stitch_state=abc' }, ORIGIN)).toBe(true);
+    expect(client.authedId()).toBeUndefined();
+  });
+});
@@ -0,0 +1,188 @@
+const fetchMock = require('fetch-mock');
+import { StitchClient } from '../src';
+import { JSONTYPE } from '../src/common';
+import { OFFLINE_QUEUE_KEY } from '../src/auth/common';
+import { StitchNetworkError } from '../src/errors';
+import { mocks } from 'mock-browser';
+import { LOCALAUTH_URL, FUNCTION_CALL_URL, hexStr } from './constants';
+import { settle, memoryStore } from './testutil';
+const MockBrowser = mocks.MockBrowser;
+
+const setOnLine = value => Object.defineProperty(navigator, 'onLine', { configurable: true, value });
+
+describe('offline queue', () => {
+  let client;
+  let calls;
+  let respond;
+  let store;
+  beforeEach(() => {
+    setOnLine(true);
+    fetchMock.restore();
+    calls = [];
+    respond = () => ({ ok: true });
+    fetchMock.post(LOCALAUTH_URL, { user_id: hexStr, access_token: 'access-token', refresh_token: 'refresh-token' });
+    fetchMock.post(FUNCTION_CALL_URL, (url, opts) => {
+      const call = JSON.parse(opts.body);
+      calls.push(call.name);
+      return respond(call);
+    });
+
+    store = memoryStore();
+    client = new StitchClient('testapp', { storage: store, retry: false, offlineQueue: { retryDelayMS: 60 * 1000 } });
+    return client.ready()
+      .then(() => client.login('user', 'password'));
+  });
+
+  afterEach(() => {
+    client.offlineQueue.stop();
+    setOnLine(true);
+    fetchMock.restore();
+  });
+
+  it('makes calls right away while online', () => {
+    return client.executeFunction('save', 1)
+      .then(result => {
+        expect(result).toEqual({ ok: true });
+        expect(calls).toEqual(['save']);
+        expect(client.offlineQueue.items()).toEqual([]);
+      });
+  });
+
+  it('queues calls while offline and makes them in order once back online', () => {
+    setOnLine(false);
+    const queued = [];
+    const replayed = [];
+    client.offlineQueue.on('queued', event => queued.push(event.id));
+    client.offlineQueue.on('replayed', event => replayed.push(event.id));
+
+    const first = client.executeFunction('first');
+    const second = client.service('mongodb', 'mongodb1').db('db').collection('reports').insertOne({ x: 1 });
+    return settle()
+      .then(() => {
+        expect(calls).toEqual([]);
+        expect(client.offlineQueue.items().map(item => item.userId)).toEqual([hexStr, hexStr]);
+        expect(JSON.parse(client.auth.storage.get(OFFLINE_QUEUE_KEY)).length).toEqual(2);
+
+        setOnLine(true);
+        window.dispatchEvent(new window.Event('online'));
+        return Promise.all([first, second]);
+      })
+      .then(results => {
+        expect(results).toEqual([{ ok: true }, { ok: true }]);
+        expect(calls).toEqual(['first', 'insertOne']);
+        expect(replayed).toEqual(queued);
+        expect(client.offlineQueue.items()).toEqual([]);
+        expect(client.auth.storage.get(OFFLINE_QUEUE_KEY)).toBeNull();
+      });
+  });
+
+  it('queues calls which fail to reach the server', () => {
+    respond = () => { throw new TypeError('Failed to fetch'); };
+    const call = client.executeFunction('save');
+    return settle()
+      .then(() => {
+        expect(client.offlineQueue.items().length).toEqual(1);
+        respond = () => ({ ok: true });
+        return client.offlineQueue.replay();
+      })
+      .then(() => call)
+      .then(result => {
+        expect(result).toEqual({ ok: true });
+        expect(calls).toEqual(['save', 'save']);
+      });
+  });
+
+  it('does not queue idempotent calls', () => {
+    respond = () => { throw new TypeError('Failed to fetch'); };
+    return client.withRequestOptions({ idempotent: true }).executeFunction('load')
+      .then(() => { throw new Error('expected an error'); })
+      .catch(e => {
+        expect(e).toBeInstanceOf(StitchNetworkError);
+        expect(client.offlineQueue.items()).toEqual([]);
+      });
+  });
+
+  it('reports calls rejected by the server and goes on', () => {
+    setOnLine(false);
+    respond = call => (call.name === 'conflicting' ? {
+      status: 409,
+      headers: { 'Content-Type': JSONTYPE },
+      body: { error: 'document was modified', error_code: 'FunctionExecutionError' }
+    } : { ok: true });
+    const conflicts = [];
+    client.offlineQueue.on('conflict', event => conflicts.push(event.error.code));
+
+    const conflicting = client.executeFunction('conflicting').catch(e => e);
+    const next = client.executeFunction('next');
+    return settle()
+      .then(() => {
+        setOnLine(true);
+        return client.offlineQueue.replay();
+      })
+      .then(() => Promise.all([conflicting, next]))
+      .then(([error, result]) => {
+        expect(error.status).toEqual(409);
+        expect(result).toEqual({ ok: true });
+        expect(conflicts).toEqual(['FunctionExecutionError']);
+        expect(client.offlineQueue.items()).toEqual([]);
+      });
+  });
+
+  it('replays calls queued before the app was closed', () => {
+    setOnLine(false);
+    client.executeFunction('persisted');
+    return settle()
+      .then(() => {
+        client.offlineQueue.stop();
+        setOnLine(true);
+        const reopened = new StitchClient('testapp', { storage: store, retry: false, offlineQueue: true });
+        return new Promise(resolve => reopened.offlineQueue.on('replayed', resolve))
+          .then(event => {
+            reopened.offlineQueue.stop();
+            expect(calls).toEqual(['persisted']);
+            expect(event.result).toEqual({ ok: true });
+          });
+      });
+  });
+
+  describe('shared by tabs', () => {
+    let tabs;
+    beforeAll(() => {
+      if (!global.window.localStorage) {
+        global.window.localStorage = new MockBrowser().getLocalStorage();
+      }
+    });
+
+    beforeEach(() => {
+      // tabs of an app share its auth data in localStorage
+      tabs = [0, 1].map(() => new StitchClient('testapp', { retry: false, offlineQueue: true }));
+      return tabs[0].login('user', 'password');
+    });
+
+    afterEach(() => {
+      tabs.forEach(tab => tab.offlineQueue.stop());
+      window.localStorage.clear();
+    });
+
+    it('makes each call once', () => {
+      setOnLine(false);
+      const replayedByOtherTab = [];
+      tabs[1].offlineQueue.on('replayed', event => replayedByOtherTab.push(event.id));
+      const first = tabs[0].executeFunction('first');
+      const second = tabs[0].executeFunction('second');
+      return settle()
+        .then(() => {
+          expect(tabs[1].offlineQueue.items().length).toEqual(2);
+          setOnLine(true);
+          window.dispatchEvent(new window.Event('online'));
+          return Promise.all([first, second]);
+        })
+        .then(results => {
+          expect(results).toEqual([{ ok: true }, { ok: true }]);
+          expect(calls).toEqual(['first', 'second']);
+          expect(replayedByOtherTab).toEqual([]);
+          expect(tabs[1].offlineQueue.items()).toEqual([]);
+        });
+    });
+  });
+});
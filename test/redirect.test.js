@@ -0,0 +1,69 @@
+import sinon from 'sinon';
+import { StitchClient } from '../src';
+import { STATE_KEY } from '../src/auth/common';
+import { ErrRedirectFailed } from '../src/errors';
+
+const UA = 'access-token$refresh-token$user1$device1';
+
+describe('explicit redirect handling', () => {
+  afterEach(() => { window.location.hash = ''; });
+
+  it('leaves the location alone when turned off', () => {
+    window.location.hash = `#_stitch_state=our-state&_stitch_ua=${encodeURIComponent(UA)}`;
+    sinon.spy(window.history, 'replaceState');
+    const client = new StitchClient('testapp', { handleRedirects: false });
+    const replaced = window.history.replaceState.called;
+    window.history.replaceState.restore();
+
+    return client.ready().then(() => {
+      expect(replaced).toBe(false);
+      expect(window.location.hash).toEqual(`#_stitch_state=our-state&_stitch_ua=${encodeURIComponent(UA)}`);
+      expect(client.authedId()).toBeUndefined();
+    });
+  });
+
+  describe('handleRedirectUrl', () => {
+    let client;
+    beforeEach(() => {
+      client = new StitchClient('testapp', { handleRedirects: false });
+      client.auth.storage.set(STATE_KEY, 'our-state');
+    });
+
+    it('logs in from the fragment of a deep link', () => {
+      const logins = [];
+      client.auth.on('login', event => logins.push(event.userId));
+      return client.auth.handleRedirectUrl(`myapp://callback#_stitch_state=our-state&_stitch_ua=${encodeURIComponent(UA)}`)
+        .then(result => {
+          expect(result).toEqual({ userId: 'user1', link: false });
+          expect(client.auth.getAccessToken()).toEqual('access-token');
+          expect(client.auth.storage.get(STATE_KEY)).toBeNull();
+          expect(logins).toEqual(['user1']);
+        });
+    });
+
+    it('logs in from the query when there is no fragment', () => {
+      return client.auth.handleRedirectUrl(`http://localhost/callback?_stitch_state=our-state&_stitch_ua=${encodeURIComponent(UA)}`)
+        .then(result => expect(result.userId).toEqual('user1'));
+    });
+
+    it('ignores URLs without auth data', () => {
+      return client.auth.handleRedirectUrl('http://localhost/#/some/route')
+        .then(result => {
+          expect(result).toBeNull();
+          expect(client.auth.storage.get(STATE_KEY)).toEqual('our-state');
+        });
+    });
+
+    it('rejects failed logins', () => {
+      sinon.stub(console, 'error');
+      return client.auth.handleRedirectUrl('http://localhost/#_stitch_error=access%20denied')
+        .then(() => { throw new Error('expected an error'); })
+        .catch(e => {
+          console.error.restore();
+          expect(e.code).toEqual(ErrRedirectFailed);
+          expect(e.message).toContain('access denied');
+          expect(client.authedId()).toBeUndefined();
+        });
+    });
+  });
+});
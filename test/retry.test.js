@@ -0,0 +1,169 @@
+const fetchMock = require('fetch-mock');
+import StitchClient from '../src/client';
+import { JSONTYPE } from '../src/common';
+import { StitchRequestError } from '../src/errors';
+import { backoffDelay, resolveRetryPolicy, DEFAULT_RETRY_POLICY, RETRYABLE_STATUS_CODES } from '../src/retry';
+import { LOCALAUTH_URL, FUNCTION_CALL_URL, PROFILE_URL, hexStr } from './constants';
+
+// responds with each of the given responses in turn, repeating the last one
+const sequence = (responses) => {
+  let calls = 0;
+  const handler = () => {
+    const response = responses[Math.min(calls, responses.length - 1)];
+    calls++;
+    if (response instanceof Error) {
+      throw response;
+    }
+    return response;
+  };
+  handler.calls = () => calls;
+  return handler;
+};
+
+const unavailable = { status: 503, body: 'Service Unavailable' };
+
+describe('retry policy', () => {
+  let testClient;
+  beforeEach(() => {
+    fetchMock.restore();
+    fetchMock.post(LOCALAUTH_URL, { user_id: hexStr });
+    testClient = new StitchClient('testapp', { retry: { baseDelayMS: 0 } });
+    return testClient.login('user', 'password');
+  });
+
+  afterEach(() => fetchMock.restore());
+
+  it('retries idempotent requests on transient status codes', () => {
+    const profile = sequence([unavailable, unavailable, { user_id: hexStr }]);
+    fetchMock.get(PROFILE_URL, profile);
+    return testClient.userProfile()
+      .then(response => {
+        expect(response.user_id).toEqual(hexStr);
+        expect(profile.calls()).toEqual(3);
+      });
+  });
+
+  it('retries requests which were rate limited', () => {
+    const profile = sequence([{ status: 429, body: 'Too Many Requests' }, { user_id: hexStr }]);
+    fetchMock.get(PROFILE_URL, profile);
+    return testClient.userProfile()
+      .then(() => expect(profile.calls()).toEqual(2));
+  });
+
+  it('retries exactly the statuses of errors marked retryable', () => {
+    [400, 401, 404, 429, 500, 502, 503, 504].forEach(status => {
+      const error = new StitchRequestError('failed', undefined, { status });
+      expect(error.retryable).toEqual(RETRYABLE_STATUS_CODES.indexOf(status) >= 0);
+    });
+    expect(DEFAULT_RETRY_POLICY.retryableStatusCodes).toBe(RETRYABLE_STATUS_CODES);
+  });
+
+  it('gives up after the maximum number of attempts', () => {
+    const profile = sequence([unavailable]);
+    fetchMock.get(PROFILE_URL, profile);
+    return testClient.userProfile()
+      .then(() => { throw new Error('expected an error'); })
+      .catch(e => {
+        expect(e.response.status).toBe(503);
+        expect(profile.calls()).toEqual(DEFAULT_RETRY_POLICY.maxAttempts);
+      });
+  });
+
+  it('retries idempotent requests when the connection fails', () => {
+    const profile = sequence([new TypeError('Failed to fetch'), { user_id: hexStr }]);
+    fetchMock.get(PROFILE_URL, profile);
+    return testClient.userProfile()
+      .then(response => {
+        expect(response.user_id).toEqual(hexStr);
+        expect(profile.calls()).toEqual(2);
+      });
+  });
+
+  it('does not replay function calls by default', () => {
+    const call = sequence([unavailable, JSON.stringify({ x: 1 })]);
+    fetchMock.post(FUNCTION_CALL_URL, call);
+    return testClient.executeFunction('testfunc')
+      .then(() => { throw new Error('expected an error'); })
+      .catch(e => {
+        expect(e.response.status).toBe(503);
+        expect(call.calls()).toEqual(1);
+      });
+  });
+
+  it('replays function calls marked idempotent', () => {
+    const call = sequence([unavailable, JSON.stringify({ x: 1 })]);
+    fetchMock.post(FUNCTION_CALL_URL, call);
+    return testClient.withRequestOptions({ idempotent: true }).executeFunction('testfunc')
+      .then(response => {
+        expect(response.x).toEqual(1);
+        expect(call.calls()).toEqual(2);
+      });
+  });
+
+  it('replays collection reads', () => {
+    const call = sequence([unavailable, JSON.stringify([{ x: 1 }])]);
+    fetchMock.post(FUNCTION_CALL_URL, call);
+    return testClient.service('mongodb', 'mdb1').db('db').collection('coll').find({}).execute()
+      .then(response => {
+        expect(response).toEqual([{ x: 1 }]);
+        expect(call.calls()).toEqual(2);
+      });
+  });
+
+  it('retries on configured error codes', () => {
+    const client = new StitchClient('testapp', { retry: { baseDelayMS: 0, retryableErrorCodes: ['Busy'] } });
+    const profile = sequence([
+      { status: 500, headers: { 'Content-Type': JSONTYPE }, body: { error: 'busy', error_code: 'Busy' } },
+      { user_id: hexStr }
+    ]);
+    fetchMock.get(PROFILE_URL, profile);
+    return client.login('user', 'password')
+      .then(() => client.userProfile())
+      .then(response => {
+        expect(response.user_id).toEqual(hexStr);
+        expect(profile.calls()).toEqual(2);
+      });
+  });
+
+  it('can be disabled per call', () => {
+    const profile = sequence([unavailable, { user_id: hexStr }]);
+    fetchMock.get(PROFILE_URL, profile);
+    return testClient.withRequestOptions({ retry: false }).userProfile()
+      .then(() => { throw new Error('expected an error'); })
+      .catch(e => {
+        expect(e.response.status).toBe(503);
+        expect(profile.calls()).toEqual(1);
+      });
+  });
+
+  it('does not retry errors thrown by interceptors', () => {
+    const profile = sequence([{ user_id: hexStr }]);
+    fetchMock.get(PROFILE_URL, profile);
+    let intercepted = 0;
+    testClient.use(() => {
+      intercepted++;
+      throw new TypeError('undefined is not a function');
+    });
+    return testClient.userProfile()
+      .then(() => { throw new Error('expected an error'); })
+      .catch(e => {
+        expect(e).toBeInstanceOf(TypeError);
+        expect(intercepted).toEqual(1);
+        expect(profile.calls()).toEqual(0);
+      });
+  });
+});
+
+describe('backoffDelay', () => {
+  it('grows exponentially up to the maximum delay', () => {
+    const policy = resolveRetryPolicy(DEFAULT_RETRY_POLICY, { jitter: false, baseDelayMS: 100, maxDelayMS: 350 });
+    expect([1, 2, 3, 4].map(retry => backoffDelay(policy, retry))).toEqual([100, 200, 350, 350]);
+  });
+
+  it('applies jitter within the computed delay', () => {
+    const policy = resolveRetryPolicy(DEFAULT_RETRY_POLICY, { baseDelayMS: 100 });
+    const delay = backoffDelay(policy, 2);
+    expect(delay).toBeGreaterThanOrEqual(0);
+    expect(delay).toBeLessThanOrEqual(200);
+  });
+});
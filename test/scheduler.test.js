@@ -0,0 +1,157 @@
+import sinon from 'sinon';
+const fetchMock = require('fetch-mock');
+import { StitchClient } from '../src';
+import RefreshScheduler from '../src/auth/scheduler';
+import { LOCALAUTH_URL, SESSION_URL, hexStr } from './constants';
+import { settle } from './testutil';
+
+const NOW = 1500000000000;
+
+// an unsigned access token expiring the given number of seconds from now
+const tokenExpiringIn = seconds =>
+  ['eyJhbGciOiJub25lIn0', Buffer.from(JSON.stringify({ exp: NOW / 1000 + seconds })).toString('base64'), ''].join('.');
+
+const setPageState = (property, value) =>
+  Object.defineProperty(property === 'hidden' ? document : navigator, property, { configurable: true, value });
+
+describe('background token refresh', () => {
+  let clock;
+  let refreshes;
+  let client;
+  beforeEach(() => {
+    clock = sinon.useFakeTimers(NOW, 'setTimeout', 'clearTimeout', 'Date');
+    setPageState('hidden', false);
+    setPageState('onLine', true);
+    refreshes = 0;
+    fetchMock.restore();
+    fetchMock.post(LOCALAUTH_URL, {
+      user_id: hexStr,
+      refresh_token: 'refresh-token',
+      access_token: tokenExpiringIn(120)
+    });
+    fetchMock.post(SESSION_URL, () => {
+      refreshes++;
+      return { access_token: tokenExpiringIn(120 + 1000 * refreshes) };
+    });
+    fetchMock.delete(SESSION_URL, {});
+
+    client = new StitchClient('testapp', { autoRefresh: true });
+    return client.ready()
+      .then(settle)
+      .then(() => client.login('user', 'password'));
+  });
+
+  afterEach(() => {
+    client.auth.refreshScheduler.stop();
+    clock.restore();
+    fetchMock.restore();
+  });
+
+  it('refreshes the access token ahead of its expiry', () => {
+    clock.tick(59 * 1000);
+    return settle()
+      .then(() => {
+        expect(refreshes).toEqual(0);
+        clock.tick(1000);
+        return settle();
+      })
+      .then(settle)
+      .then(() => {
+        expect(refreshes).toEqual(1);
+        expect(client.auth.getAccessTokenExpiration()).toEqual(NOW + 1120 * 1000);
+
+        // the refreshed token is scheduled in turn
+        clock.tick(1000 * 1000);
+        return settle();
+      })
+      .then(settle)
+      .then(() => expect(refreshes).toEqual(2));
+  });
+
+  it('puts off refreshes while the page is hidden', () => {
+    setPageState('hidden', true);
+    document.dispatchEvent(new window.Event('visibilitychange'));
+    clock.tick(120 * 1000);
+    return settle()
+      .then(() => {
+        expect(refreshes).toEqual(0);
+        setPageState('hidden', false);
+        document.dispatchEvent(new window.Event('visibilitychange'));
+        clock.tick(0);
+        return settle();
+      })
+      .then(settle)
+      .then(() => expect(refreshes).toEqual(1));
+  });
+
+  it('puts off refreshes while offline', () => {
+    setPageState('onLine', false);
+    window.dispatchEvent(new window.Event('offline'));
+    clock.tick(120 * 1000);
+    return settle()
+      .then(() => {
+        expect(refreshes).toEqual(0);
+        setPageState('onLine', true);
+        window.dispatchEvent(new window.Event('online'));
+        clock.tick(0);
+        return settle();
+      })
+      .then(settle)
+      .then(() => expect(refreshes).toEqual(1));
+  });
+
+  it('stops on logout', () => {
+    return client.logout()
+      .then(() => {
+        clock.tick(120 * 1000);
+        return settle();
+      })
+      .then(() => expect(refreshes).toEqual(0));
+  });
+
+  it('stops when auth is cleared', () => {
+    client.auth.clear();
+    clock.tick(120 * 1000);
+    return settle().then(() => expect(refreshes).toEqual(0));
+  });
+
+  it('retries a failed refresh', () => {
+    sinon.stub(console, 'error');
+    fetchMock.restore();
+    fetchMock.post(SESSION_URL, () => {
+      refreshes++;
+      return refreshes === 1 ? { status: 500, body: 'oops' } : { access_token: tokenExpiringIn(1000) };
+    });
+
+    clock.tick(60 * 1000);
+    return settle()
+      .then(settle)
+      .then(() => {
+        expect(refreshes).toEqual(1);
+        clock.tick(30 * 1000);
+        return settle();
+      })
+      .then(settle)
+      .then(() => {
+        console.error.restore();
+        expect(refreshes).toEqual(2);
+      });
+  });
+});
+
+describe('RefreshScheduler', () => {
+  it('does nothing without an access token', () => {
+    const clock = sinon.useFakeTimers(NOW, 'setTimeout', 'clearTimeout', 'Date');
+    const auth = {
+      on: () => () => {},
+      getAccessTokenExpiration: () => null,
+      refreshToken: sinon.spy()
+    };
+    const scheduler = new RefreshScheduler(auth);
+    scheduler.start();
+    clock.tick(1000 * 1000);
+    scheduler.stop();
+    clock.restore();
+    expect(auth.refreshToken.called).toBe(false);
+  });
+});
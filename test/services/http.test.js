@@ -36,6 +36,16 @@ describe('HttpService', function() {
               .toEqual([{ scheme: 'http', host: 'llamas.net', path: '/index.html' }]);
           });
       });
+
+      it('should apply request options from the options', () => {
+        test.client.withRequestOptions = sinon.stub().returns(test.client);
+        return test.service[method]('http://google.com', { authUrl: 'llamas', timeoutMS: 500 })
+          .then(() => {
+            expect(test.client.withRequestOptions.getCall(0).args).toEqual([{ signal: undefined, timeoutMS: 500 }]);
+            const requestArgs = test.client.executeServiceFunction.getCall(0).args.slice(2);
+            expect(requestArgs).toEqual([{ url: 'http://google.com', authUrl: 'llamas' }]);
+          });
+      });
     });
   });
 });
@@ -1,6 +1,15 @@
 /* eslint no-loop-func: 0 */
+import sinon from 'sinon';
 import { createStorage } from '../src/auth/storage';
+import { StitchClient, Admin } from '../src';
+import { USER_AUTH_KEY, REFRESH_TOKEN_KEY } from '../src/auth/common';
+const fetchMock = require('fetch-mock');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 import { mocks } from 'mock-browser';
+import { SESSION_URL, PROFILE_URL } from './constants';
+import { asyncStore } from './testutil';
 const MockBrowser = mocks.MockBrowser;
 
 const storageTypes = [ 'localStorage', 'sessionStorage', 'fallback' ];
@@ -27,4 +36,244 @@ describe('storage', function() {
       expect(storage.get('token')).toBeNull();
     });
   }
+
+  describe('namespaces', () => {
+    afterEach(() => window.localStorage.clear());
+
+    it('should keep values of different namespaces apart', () => {
+      const app1 = createStorage('localStorage', { namespace: '_stitch.app.app1' });
+      const app2 = createStorage('localStorage', { namespace: '_stitch.app.app2' });
+      app1.set('token', 'foo');
+      app2.set('token', 'bar');
+      expect(app1.get('token')).toEqual('foo');
+      expect(app2.get('token')).toEqual('bar');
+      expect(window.localStorage.getItem('token')).toBeNull();
+    });
+
+    it('should migrate unscoped values once', () => {
+      window.localStorage.setItem('token', 'legacy');
+      const storage = createStorage('localStorage', { namespace: '_stitch.app.app1' });
+      storage.migrate(['token', 'missing']);
+      expect(storage.get('token')).toEqual('legacy');
+      expect(storage.get('missing')).toBeNull();
+      expect(window.localStorage.getItem('token')).toBeNull();
+
+      window.localStorage.setItem('token', 'written-later');
+      storage.migrate(['token']);
+      expect(storage.get('token')).toEqual('legacy');
+      expect(window.localStorage.getItem('token')).toEqual('written-later');
+    });
+
+    it('should not share auth data between clients of different apps', () => {
+      const client1 = new StitchClient('app1');
+      const client2 = new StitchClient('app2');
+      const admin = new Admin();
+      client1.auth.set({ user_id: 'user1', access_token: 'token1' });
+      admin.auth.set({ user_id: 'admin', access_token: 'token2' });
+      expect(client1.authedId()).toEqual('user1');
+      expect(client2.authedId()).toBeUndefined();
+      expect(admin.authedId()).toEqual('admin');
+    });
+
+    it('should keep users logged in when upgrading', () => {
+      window.localStorage.setItem(USER_AUTH_KEY, JSON.stringify({ userId: 'user1', accessToken: 'token1' }));
+      const client = new StitchClient('app1');
+      expect(client.authedId()).toEqual('user1');
+      expect(new StitchClient('app2').authedId()).toBeUndefined();
+    });
+
+    it('should leave no unscoped auth data behind once logged out', () => {
+      fetchMock.delete(SESSION_URL, {});
+      window.localStorage.setItem(USER_AUTH_KEY, JSON.stringify({ userId: 'user1', accessToken: 'token1' }));
+      window.localStorage.setItem(REFRESH_TOKEN_KEY, 'legacy-rt');
+      const client = new StitchClient('app1');
+      expect(client.authedId()).toEqual('user1');
+      return client.logout()
+        .then(() => {
+          fetchMock.restore();
+          expect(window.localStorage.getItem(USER_AUTH_KEY)).toBeNull();
+          expect(window.localStorage.getItem(REFRESH_TOKEN_KEY)).toBeNull();
+          expect(new StitchClient('other').authedId()).toBeUndefined();
+          expect(new Admin().authedId()).toBeUndefined();
+        });
+    });
+
+    it('should not overwrite values already in the namespace', () => {
+      const storage = createStorage('localStorage', { namespace: '_stitch.app.app1' });
+      storage.set('token', 'current');
+      window.localStorage.setItem('token', 'legacy');
+      storage.migrate(['token']);
+      expect(storage.get('token')).toEqual('current');
+    });
+  });
+
+  describe('asynchronous stores', () => {
+    const NAMESPACE = '_stitch.app.app1';
+
+    afterEach(() => fetchMock.restore());
+
+    it('should read values once loaded', () => {
+      const store = asyncStore({ [`${NAMESPACE}.token`]: 'foo' });
+      const storage = createStorage('localStorage', { namespace: NAMESPACE, store });
+      expect(storage.loaded).toBe(false);
+      expect(storage.get('token')).toBeNull();
+      return storage.load(['token'])
+        .then(() => {
+          expect(storage.loaded).toBe(true);
+          expect(storage.get('token')).toEqual('foo');
+        });
+    });
+
+    it('should read written values before they are persisted', () => {
+      const store = asyncStore();
+      const storage = createStorage('memory', { namespace: NAMESPACE, store });
+      const written = storage.set('token', 'foo');
+      expect(storage.get('token')).toEqual('foo');
+      expect(store.data[`${NAMESPACE}.token`]).toBeUndefined();
+      return written
+        .then(() => expect(store.data[`${NAMESPACE}.token`]).toEqual('foo'))
+        .then(() => storage.remove('token'))
+        .then(() => expect(store.data[`${NAMESPACE}.token`]).toBeUndefined());
+    });
+
+    it('should keep values written while loading', () => {
+      const store = asyncStore({ [`${NAMESPACE}.token`]: 'stale' });
+      const storage = createStorage('memory', { namespace: NAMESPACE, store });
+      const loaded = storage.load(['token']);
+      storage.set('token', 'fresh');
+      return loaded.then(() => expect(storage.get('token')).toEqual('fresh'));
+    });
+
+    it('should persist later writes after a failed write', () => {
+      const store = asyncStore();
+      const setItem = store.setItem;
+      store.setItem = (key, value) => (value === 'bad' ? Promise.reject(new Error('full')) : setItem(key, value));
+      const storage = createStorage('memory', { namespace: NAMESPACE, store });
+
+      sinon.stub(console, 'error');
+      return storage.set('token', 'bad')
+        .then(() => { throw new Error('expected an error'); }, e => expect(e.message).toEqual('full'))
+        .then(() => storage.set('token', 'good'))
+        .then(() => {
+          console.error.restore();
+          expect(store.data[`${NAMESPACE}.token`]).toEqual('good');
+        });
+    });
+
+    it('should migrate unscoped values', () => {
+      const store = asyncStore({ token: 'legacy' });
+      const storage = createStorage('memory', { namespace: NAMESPACE, store });
+      return storage.load(['token'])
+        .then(() => storage.set('other', 'x'))
+        .then(() => {
+          expect(storage.get('token')).toEqual('legacy');
+          expect(store.data).toEqual({
+            [`${NAMESPACE}.token`]: 'legacy',
+            [`${NAMESPACE}._stitch_migrated`]: 'true',
+            [`${NAMESPACE}.other`]: 'x'
+          });
+        });
+    });
+
+    it('should restore a logged in user with a client storage option', () => {
+      const store = asyncStore({
+        [`${NAMESPACE}.${USER_AUTH_KEY}`]: JSON.stringify({ userId: 'user1', accessToken: 'token1' })
+      });
+      fetchMock.get(PROFILE_URL, (url, opts) => ({ user_id: 'user1', token: opts.headers.Authorization }));
+
+      const client = new StitchClient('app1', { storage: store });
+      expect(client.authedId()).toBeUndefined();
+      return client.userProfile()
+        .then(profile => {
+          expect(profile.token).toEqual('Bearer token1');
+          expect(client.authedId()).toEqual('user1');
+          return client.ready();
+        });
+    });
+
+    it('should persist auth data to a client storage option', () => {
+      const store = asyncStore();
+      const client = new StitchClient('app1', { storage: store });
+      return client.ready()
+        .then(() => client.auth.set({ user_id: 'user1', access_token: 'token1', refresh_token: 'refresh1' }))
+        .then(() => {
+          const restored = new StitchClient('app1', { storage: store });
+          return restored.ready().then(() => {
+            expect(restored.authedId()).toEqual('user1');
+            expect(restored.auth.getRefreshToken()).toEqual('refresh1');
+          });
+        });
+    });
+  });
+
+  describe('file storage', () => {
+    let dir;
+    beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stitch-')); });
+    afterEach(() => {
+      fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+      fs.rmdirSync(dir);
+    });
+
+    const authFile = () => path.join(dir, 'auth.json');
+
+    it('should persist values across instances', () => {
+      createStorage('file', { namespace: '_stitch.app.app1', dir }).set('token', 'foo');
+      expect(createStorage('file', { namespace: '_stitch.app.app1', dir }).get('token')).toEqual('foo');
+    });
+
+    it('should keep a section per namespace', () => {
+      const app1 = createStorage('file', { namespace: '_stitch.app.app1', dir });
+      const app2 = createStorage('file', { namespace: '_stitch.app.app2', dir });
+      app1.set('token', 'foo');
+      app2.set('token', 'bar');
+      app2.remove('token');
+      expect(app1.get('token')).toEqual('foo');
+      expect(app2.get('token')).toBeNull();
+      expect(JSON.parse(fs.readFileSync(authFile(), 'utf8'))).toEqual({ '_stitch.app.app1': { token: 'foo' } });
+    });
+
+    it('should only be readable by the current user', () => {
+      createStorage('file', { namespace: '_stitch.app.app1', dir }).set('token', 'foo');
+      expect(fs.statSync(authFile()).mode & 0o777).toEqual(0o600);
+    });
+
+    it('should create the directory when missing', () => {
+      const nested = path.join(dir, 'nested');
+      createStorage('file', { namespace: '_stitch.app.app1', dir: nested }).set('token', 'foo');
+      expect(fs.statSync(nested).mode & 0o777).toEqual(0o700);
+      fs.unlinkSync(path.join(nested, 'auth.json'));
+      fs.rmdirSync(nested);
+    });
+
+    it('should create missing parent directories', () => {
+      const parent = path.join(dir, 'parent');
+      const nested = path.join(parent, 'nested');
+      createStorage('file', { namespace: '_stitch.app.app1', dir: nested }).set('token', 'foo');
+      expect(createStorage('file', { namespace: '_stitch.app.app1', dir: nested }).get('token')).toEqual('foo');
+      expect(fs.statSync(parent).mode & 0o777).toEqual(0o700);
+      expect(fs.statSync(nested).mode & 0o777).toEqual(0o700);
+      fs.unlinkSync(path.join(nested, 'auth.json'));
+      fs.rmdirSync(nested);
+      fs.rmdirSync(parent);
+    });
+
+    it('should ignore a malformed file', () => {
+      fs.writeFileSync(authFile(), 'not json');
+      sinon.stub(console, 'error');
+      const storage = createStorage('file', { namespace: '_stitch.app.app1', dir });
+      expect(storage.get('token')).toBeNull();
+      storage.set('token', 'foo');
+      console.error.restore();
+      expect(storage.get('token')).toEqual('foo');
+    });
+
+    it('should keep clients logged in across runs', () => {
+      const options = { storageType: 'file', storageDir: dir };
+      new StitchClient('app1', options).auth.set({ user_id: 'user1', access_token: 'token1' });
+      new Admin(undefined, options).auth.set({ user_id: 'admin', access_token: 'token2' });
+      expect(new StitchClient('app1', options).authedId()).toEqual('user1');
+      expect(new StitchClient('app2', options).authedId()).toBeUndefined();
+      expect(new Admin(undefined, options).authedId()).toEqual('admin');
+    });
+  });
 });
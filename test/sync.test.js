@@ -0,0 +1,122 @@
+import { StitchClient } from '../src';
+import { USER_AUTH_KEY } from '../src/auth/common';
+import { mocks } from 'mock-browser';
+import { asyncStore } from './testutil';
+const MockBrowser = mocks.MockBrowser;
+
+const UA_KEY = `_stitch.app.app1.${USER_AUTH_KEY}`;
+
+// simulates a change made by another tab, which writes to localStorage and
+// fires a storage event in this tab
+const changeInOtherTab = (key, newValue) => {
+  const event = new window.Event('storage');
+  event.key = key;
+  event.oldValue = window.localStorage.getItem(key);
+  event.newValue = newValue;
+  event.storageArea = window.localStorage;
+  if (newValue === null) {
+    window.localStorage.removeItem(key);
+  } else {
+    window.localStorage.setItem(key, newValue);
+  }
+  window.dispatchEvent(event);
+};
+
+const nextTick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('cross-tab sync', () => {
+  beforeAll(() => {
+    if (!global.window.localStorage) {
+      global.window.localStorage = new MockBrowser().getLocalStorage();
+    }
+  });
+
+  afterEach(() => window.localStorage.clear());
+
+  describe('with localStorage', () => {
+    let client;
+    let events;
+    beforeEach(() => {
+      client = new StitchClient('app1');
+      client.auth.set({ user_id: 'user1', access_token: 'token1' });
+      const received = events = [];
+      ['login', 'logout', 'tokenRefreshed', 'activeUserChanged'].forEach(type =>
+        client.auth.on(type, event => received.push(event)));
+    });
+
+    it('notifies of a logout in another tab', () => {
+      changeInOtherTab(UA_KEY, null);
+      return nextTick().then(() => {
+        expect(client.authedId()).toBeUndefined();
+        expect(events).toEqual([{ type: 'logout', userId: 'user1', external: true }]);
+      });
+    });
+
+    it('notifies of a token refresh in another tab', () => {
+      changeInOtherTab(UA_KEY, JSON.stringify({ userId: 'user1', accessToken: 'token2' }));
+      return nextTick().then(() => {
+        expect(client.auth.getAccessToken()).toEqual('token2');
+        expect(events).toEqual([{ type: 'tokenRefreshed', userId: 'user1', external: true }]);
+      });
+    });
+
+    it('notifies of another active user in another tab', () => {
+      changeInOtherTab(UA_KEY, JSON.stringify({ userId: 'user2', accessToken: 'token2' }));
+      return nextTick().then(() => {
+        expect(events).toEqual([{ type: 'activeUserChanged', userId: 'user2', external: true }]);
+      });
+    });
+
+    it('notifies of a login in another tab', () => {
+      client.auth.clear();
+      changeInOtherTab(UA_KEY, JSON.stringify({ userId: 'user2', accessToken: 'token2' }));
+      return nextTick().then(() => {
+        expect(events).toEqual([{ type: 'login', userId: 'user2', external: true }]);
+      });
+    });
+
+    it('ignores changes of other apps', () => {
+      changeInOtherTab(`_stitch.app.app2.${USER_AUTH_KEY}`, JSON.stringify({ userId: 'user2', accessToken: 'token2' }));
+      return nextTick().then(() => expect(events).toEqual([]));
+    });
+  });
+
+  describe('with an asynchronous store', () => {
+    // delivers messages to every other channel of the same name, like browsers do
+    let channels;
+    beforeEach(() => {
+      channels = [];
+      global.BroadcastChannel = class {
+        constructor(name) {
+          this.name = name;
+          channels.push(this);
+        }
+
+        postMessage(data) {
+          channels
+            .filter(channel => channel !== this && channel.name === this.name)
+            .forEach(channel => setTimeout(() => channel.onmessage({ data })));
+        }
+      };
+    });
+
+    afterEach(() => delete global.BroadcastChannel);
+
+    it('picks up changes made by another tab', () => {
+      const store = asyncStore();
+      const tab1 = new StitchClient('app1', { storage: store });
+      const tab2 = new StitchClient('app1', { storage: store });
+      const events = [];
+      tab2.onAuthStateChanged(event => events.push(event));
+
+      return Promise.all([tab1.ready(), tab2.ready()])
+        .then(() => tab1.auth.set({ user_id: 'user1', access_token: 'token1' }))
+        .then(nextTick)
+        .then(() => tab2.auth._syncing)
+        .then(() => {
+          expect(tab2.authedId()).toEqual('user1');
+          expect(events).toEqual([{ type: 'login', userId: 'user1', external: true }]);
+        });
+    });
+  });
+});
@@ -12,6 +12,43 @@ export const extractTestFixtureDataPoints = (test) => {
   return { apiKey, groupId, serverUrl };
 };
 
+// lets pending promises and mocked responses settle
+export const settle = () => new Promise(resolve => setImmediate(resolve));
+
+// a synchronous store kept in memory, exposing its `data`
+export const memoryStore = (data = {}) => ({
+  data,
+  getItem: key => (key in data ? data[key] : null),
+  setItem: (key, value) => { data[key] = value; },
+  removeItem: key => { delete data[key]; }
+});
+
+// a store resolving every operation on a later tick, like React Native's AsyncStorage
+export const asyncStore = (data = {}) => ({
+  data,
+  getItem: key => Promise.resolve(key in data ? data[key] : null),
+  setItem: (key, value) => Promise.resolve().then(() => { data[key] = value; }),
+  removeItem: key => Promise.resolve().then(() => { delete data[key]; })
+});
+
+// a minimal AbortSignal, as the test environment has no AbortController
+export class TestSignal {
+  constructor() {
+    this.aborted = false;
+    this.listeners = [];
+  }
+
+  addEventListener(type, listener) { this.listeners.push(listener); }
+  removeEventListener(type, listener) {
+    this.listeners = this.listeners.filter(l => l !== listener);
+  }
+
+  abort() {
+    this.aborted = true;
+    this.listeners.forEach(listener => listener());
+  }
+}
+
 export const buildAdminTestHarness = async(seedTestApp, apiKey, groupId, serverUrl) => {
   const harness = new TestHarness(apiKey, groupId, serverUrl);
   await harness.authenticate();
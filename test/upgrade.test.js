@@ -0,0 +1,99 @@
+const fetchMock = require('fetch-mock');
+import { StitchClient } from '../src';
+import { ErrAccountNameInUse, ErrNotAnonymousUser, ErrUnauthorized } from '../src/errors';
+import { JSONTYPE } from '../src/common';
+import { APP_URL, ANON_AUTH_URL, LOCALAUTH_URL, PROFILE_URL, hexStr } from './constants';
+
+const REGISTER_URL = `${APP_URL}/auth/providers/local-userpass/register`;
+const CONFIRM_URL = `${APP_URL}/auth/providers/local-userpass/confirm`;
+
+const accountNameInUse = {
+  status: 409,
+  headers: { 'Content-Type': JSONTYPE },
+  body: { error: 'name already in use', error_code: 'AccountNameInUse' }
+};
+
+describe('anonymous user upgrade', () => {
+  let client;
+  let requests;
+  beforeEach(() => {
+    fetchMock.restore();
+    requests = [];
+    fetchMock.get(`begin:${ANON_AUTH_URL}`, { user_id: hexStr, access_token: 'anon-access', refresh_token: 'anon-refresh' });
+    fetchMock.post(REGISTER_URL, (url, opts) => {
+      requests.push(`register ${JSON.parse(opts.body).email}`);
+      return JSON.parse(opts.body).email === 'taken@10gen.com' ? accountNameInUse : {};
+    });
+    fetchMock.post(CONFIRM_URL, (url, opts) => {
+      requests.push(`confirm ${JSON.parse(opts.body).token}`);
+      return {};
+    });
+    fetchMock.post(`begin:${LOCALAUTH_URL}`, (url, opts) => {
+      requests.push(`login ${url.substring(LOCALAUTH_URL.length)}`);
+      return JSON.parse(opts.body).username === 'linked@10gen.com' ?
+        accountNameInUse :
+        { user_id: hexStr, access_token: 'upgraded-access' };
+    });
+    fetchMock.get(PROFILE_URL, {
+      user_id: hexStr,
+      identities: [{ id: 'a1', provider_type: 'anon-user' }, { id: 'u1', provider_type: 'local-userpass' }]
+    });
+
+    client = new StitchClient('testapp');
+    return client.login();
+  });
+
+  afterEach(() => fetchMock.restore());
+
+  it('registers and links credentials to the anonymous user', () => {
+    return client.startAnonymousUpgrade('user@10gen.com', 'password')
+      .then(() => client.completeAnonymousUpgrade('user@10gen.com', 'password', { tokenId: 'tid', token: 'tok' }))
+      .then(identities => {
+        expect(identities.map(identity => identity.provider_type)).toEqual(['anon-user', 'local-userpass']);
+        expect(requests).toEqual(['register user@10gen.com', 'confirm tok', 'login ?link=true']);
+        expect(client.authedId()).toEqual(hexStr);
+        expect(client.auth.getProvider()).toEqual('userpass');
+        return client.login('user@10gen.com', 'password');
+      })
+      .then(userId => {
+        // the upgraded session is reused
+        expect(userId).toEqual(hexStr);
+        expect(requests.length).toEqual(3);
+      });
+  });
+
+  it('rejects an email registered to another account', () => {
+    return client.startAnonymousUpgrade('taken@10gen.com', 'password')
+      .then(() => { throw new Error('expected an error'); })
+      .catch(e => {
+        expect(e.code).toEqual(ErrAccountNameInUse);
+        expect(e.message).toEqual('taken@10gen.com already belongs to another account');
+      });
+  });
+
+  it('rejects credentials linked to another account', () => {
+    return client.completeAnonymousUpgrade('linked@10gen.com', 'password')
+      .then(() => { throw new Error('expected an error'); })
+      .catch(e => {
+        expect(e.code).toEqual(ErrAccountNameInUse);
+        expect(client.auth.getProvider()).toEqual('anon');
+      });
+  });
+
+  it('only upgrades anonymous users', () => {
+    return client.auth.setProvider('google')
+      .then(() => client.startAnonymousUpgrade('user@10gen.com', 'password'))
+      .then(() => { throw new Error('expected an error'); })
+      .catch(e => {
+        expect(e.code).toEqual(ErrNotAnonymousUser);
+        expect(requests).toEqual([]);
+      });
+  });
+
+  it('requires a logged in user', () => {
+    return client.auth.clear()
+      .then(() => client.completeAnonymousUpgrade('user@10gen.com', 'password'))
+      .then(() => { throw new Error('expected an error'); })
+      .catch(e => expect(e.code).toEqual(ErrUnauthorized));
+  });
+});
@@ -0,0 +1,158 @@
+const fetchMock = require('fetch-mock');
+import { StitchClient, StitchUser } from '../src';
+import { ErrUserNotFound } from '../src/errors';
+import { ANON_AUTH_URL, LOCALAUTH_URL, SESSION_URL, PROFILE_URL } from './constants';
+import { settle } from './testutil';
+
+// an unsigned access token with the given claims
+const tokenWith = claims =>
+  ['eyJhbGciOiJub25lIn0', Buffer.from(JSON.stringify(claims)).toString('base64'), ''].join('.');
+
+const profiles = {
+  [`Bearer ${tokenWith({ sub: 'anon-user', exp: 2000000000 })}`]: {
+    user_id: 'anon-user',
+    identities: [{ id: 'a1', provider_type: 'anon-user' }],
+    data: {}
+  },
+  [`Bearer ${tokenWith({ sub: 'userpass-user', exp: 2000000000 })}`]: {
+    user_id: 'userpass-user',
+    identities: [{ id: 'u1', provider_type: 'local-userpass' }, { id: 'u2', provider_type: 'local-userpass' }],
+    data: { email: 'user@10gen.com' }
+  },
+  // the anonymous user after a token refresh or an identity link
+  [`Bearer ${tokenWith({ sub: 'anon-user', exp: 2100000000 })}`]: {
+    user_id: 'anon-user',
+    identities: [{ id: 'a1', provider_type: 'anon-user' }, { id: 'u1', provider_type: 'local-userpass' }],
+    data: { email: 'user@10gen.com' }
+  }
+};
+
+describe('StitchUser', () => {
+  let client;
+  let profileRequests;
+  beforeEach(() => {
+    fetchMock.restore();
+    profileRequests = 0;
+    fetchMock.get(`begin:${ANON_AUTH_URL}`, {
+      user_id: 'anon-user',
+      access_token: tokenWith({ sub: 'anon-user', exp: 2000000000 }),
+      refresh_token: 'anon-refresh'
+    });
+    fetchMock.post(LOCALAUTH_URL, {
+      user_id: 'userpass-user',
+      access_token: tokenWith({ sub: 'userpass-user', exp: 2000000000 }),
+      refresh_token: 'userpass-refresh'
+    });
+    fetchMock.get(PROFILE_URL, (url, opts) => {
+      profileRequests++;
+      return profiles[opts.headers.Authorization];
+    });
+
+    client = new StitchClient('testapp');
+  });
+
+  afterEach(() => fetchMock.restore());
+
+  it('is null until a user logs in', () => {
+    expect(client.currentUser).toBeNull();
+    return client.login()
+      .then(() => {
+        const user = client.currentUser;
+        expect(user).toBeInstanceOf(StitchUser);
+        expect(user.id).toEqual('anon-user');
+        expect(client.currentUser).toBe(user);
+        expect(user.profile).toBeNull();
+        expect(user.identities).toEqual([]);
+        expect(profileRequests).toEqual(0);
+      });
+  });
+
+  it('fetches the profile', () => {
+    return client.login('user@10gen.com', 'password')
+      .then(() => client.currentUser.refresh())
+      .then(user => {
+        expect(user.data.email).toEqual('user@10gen.com');
+        expect(user.identities.length).toEqual(2);
+        expect(user.providers).toEqual(['local-userpass']);
+      });
+  });
+
+  it('exposes the claims of the current access token', () => {
+    fetchMock.post(SESSION_URL, { access_token: tokenWith({ sub: 'anon-user', exp: 2100000000 }) });
+    return client.login()
+      .then(() => {
+        const user = client.currentUser;
+        expect(user.claims.sub).toEqual('anon-user');
+        expect(user.accessTokenExpiration).toEqual(2000000000 * 1000);
+        return client.auth.refreshToken().then(() => user);
+      })
+      .then(user => expect(user.accessTokenExpiration).toEqual(2100000000 * 1000));
+  });
+
+  it('fetches the profile of a user logging in once used', () => {
+    return client.login()
+      .then(() => client.currentUser.refresh())
+      .then(() => client.addUser('userpass', { username: 'user@10gen.com', password: 'password' }))
+      .then(settle)
+      .then(() => {
+        const user = client.currentUser;
+        expect(user.id).toEqual('userpass-user');
+        expect(user.data.email).toEqual('user@10gen.com');
+        expect(profileRequests).toEqual(2);
+      });
+  });
+
+  it('fetches the profile again once the access token is refreshed', () => {
+    fetchMock.post(SESSION_URL, { access_token: tokenWith({ sub: 'anon-user', exp: 2100000000 }) });
+    return client.login()
+      .then(() => client.currentUser.refresh())
+      .then(() => client.auth.refreshToken())
+      .then(settle)
+      .then(() => {
+        expect(client.currentUser.data.email).toEqual('user@10gen.com');
+        expect(profileRequests).toEqual(2);
+      });
+  });
+
+  it('fetches the profile again once an identity is linked', () => {
+    fetchMock.post(`${LOCALAUTH_URL}?link=true`, {
+      user_id: 'anon-user',
+      access_token: tokenWith({ sub: 'anon-user', exp: 2100000000 })
+    });
+    return client.login()
+      .then(() => client.currentUser.refresh())
+      .then(() => client.linkWithProvider('userpass', { username: 'user@10gen.com', password: 'password' }))
+      .then(identities => {
+        expect(identities.length).toEqual(2);
+        return settle();
+      })
+      .then(() => expect(profileRequests).toEqual(2));
+  });
+
+  it('fetches the profile again once an identity is linked by a redirect', () => {
+    return client.login()
+      .then(() => client.currentUser.refresh())
+      .then(() => {
+        client.auth.emit('identityLinked', { userId: 'anon-user' });
+        return settle();
+      })
+      .then(() => expect(profileRequests).toEqual(2));
+  });
+
+  it('is no longer active once another user is', () => {
+    let anonUser;
+    return client.login()
+      .then(() => {
+        anonUser = client.currentUser;
+        return client.addUser('userpass', { username: 'user@10gen.com', password: 'password' });
+      })
+      .then(settle)
+      .then(() => {
+        expect(anonUser.isActive).toBe(false);
+        expect(anonUser.claims).toBeNull();
+        return anonUser.refresh();
+      })
+      .then(() => { throw new Error('expected an error'); })
+      .catch(e => expect(e.code).toEqual(ErrUserNotFound));
+  });
+});
@@ -0,0 +1,87 @@
+const fetchMock = require('fetch-mock');
+import { StitchClient } from '../src';
+import { CLIENT_API_URL, APIKEY_AUTH_URL, LOCALAUTH_URL, hexStr } from './constants';
+
+const API_KEYS_URL = `${CLIENT_API_URL}/auth/api_keys`;
+const keyId = '5a0b1c2d3e4f5a6b7c8d9e0f';
+
+describe('user API keys', () => {
+  let client;
+  let requests;
+  beforeEach(() => {
+    fetchMock.restore();
+    requests = [];
+    const record = response => (url, opts) => {
+      requests.push({ method: opts.method, url, authorization: opts.headers.Authorization, body: opts.body });
+      return response;
+    };
+
+    fetchMock.post(LOCALAUTH_URL, { user_id: hexStr, access_token: 'access-token', refresh_token: 'refresh-token' });
+    fetchMock.post(APIKEY_AUTH_URL, (url, opts) => (
+      JSON.parse(opts.body).key === 'secret-key' ?
+        { user_id: hexStr, access_token: 'api-key-access-token', refresh_token: 'api-key-refresh-token' } :
+        { status: 401, body: 'invalid API key' }
+    ));
+    fetchMock.post(API_KEYS_URL, record({ _id: keyId, key: 'secret-key', name: 'backend', disabled: false }));
+    fetchMock.get(API_KEYS_URL, record([{ _id: keyId, name: 'backend', disabled: false }]));
+    fetchMock.get(`${API_KEYS_URL}/${keyId}`, record({ _id: keyId, name: 'backend', disabled: false }));
+    fetchMock.put(`${API_KEYS_URL}/${keyId}/enable`, record({ status: 204 }));
+    fetchMock.put(`${API_KEYS_URL}/${keyId}/disable`, record({ status: 204 }));
+    fetchMock.delete(`${API_KEYS_URL}/${keyId}`, record({ status: 204 }));
+
+    client = new StitchClient('testapp');
+    return client.login('user', 'password');
+  });
+
+  afterEach(() => fetchMock.restore());
+
+  it('creates a key with the refresh token', () => {
+    return client.auth.userApiKeys().create('backend')
+      .then(apiKey => {
+        expect(apiKey.key).toEqual('secret-key');
+        expect(requests).toEqual([{
+          method: 'POST',
+          url: API_KEYS_URL,
+          authorization: 'Bearer refresh-token',
+          body: JSON.stringify({ name: 'backend' })
+        }]);
+      });
+  });
+
+  it('lists and gets keys', () => {
+    const apiKeys = client.auth.userApiKeys();
+    return apiKeys.list()
+      .then(keys => {
+        expect(keys.map(key => key._id)).toEqual([keyId]);
+        return apiKeys.get(keyId);
+      })
+      .then(key => expect(key.name).toEqual('backend'));
+  });
+
+  it('enables, disables and deletes keys', () => {
+    const apiKeys = client.auth.userApiKeys();
+    return apiKeys.disable(keyId)
+      .then(() => apiKeys.enable(keyId))
+      .then(() => apiKeys.delete(keyId))
+      .then(result => {
+        expect(result).toBeUndefined();
+        expect(requests.map(request => `${request.method} ${request.url}`)).toEqual([
+          `PUT ${API_KEYS_URL}/${keyId}/disable`,
+          `PUT ${API_KEYS_URL}/${keyId}/enable`,
+          `DELETE ${API_KEYS_URL}/${keyId}`
+        ]);
+      });
+  });
+
+  it('logs in with a created key', () => {
+    return client.auth.userApiKeys().create('backend')
+      .then(apiKey => {
+        const server = new StitchClient('testapp', { storageType: 'memory' });
+        return server.authenticate('apiKey', { key: apiKey.key })
+          .then(userId => {
+            expect(userId).toEqual(hexStr);
+            expect(server.auth.getAccessToken()).toEqual('api-key-access-token');
+          });
+      });
+  });
+});
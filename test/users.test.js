@@ -0,0 +1,219 @@
+import sinon from 'sinon';
+const fetchMock = require('fetch-mock');
+import StitchClient from '../src/client';
+import { ErrUserNotFound } from '../src/errors';
+import * as common from '../src/auth/common';
+import { ANON_AUTH_URL, LOCALAUTH_URL, FUNCTION_CALL_URL, SESSION_URL } from './constants';
+import { settle, asyncStore } from './testutil';
+
+const userFor = (name) => ({
+  user_id: `${name}-id`,
+  access_token: `${name}-access`,
+  refresh_token: `${name}-refresh`
+});
+
+describe('multiple users', () => {
+  let testClient;
+  let deletedSessions;
+  beforeEach(() => {
+    fetchMock.restore();
+    deletedSessions = [];
+    fetchMock.mock(`begin:${ANON_AUTH_URL}`, () => userFor('anon'));
+    fetchMock.post(LOCALAUTH_URL, (url, opts) => userFor(JSON.parse(opts.body).username));
+    fetchMock.post(FUNCTION_CALL_URL, (url, opts) => JSON.stringify({ token: opts.headers.Authorization }));
+    fetchMock.delete(SESSION_URL, (url, opts) => {
+      deletedSessions.push(opts.headers.Authorization);
+      return {};
+    });
+    testClient = new StitchClient('testapp');
+  });
+
+  afterEach(() => fetchMock.restore());
+
+  it('keeps the previous user logged in when logging in with another provider', () => {
+    return testClient.login('alice', 'password')
+      .then(() => testClient.login())
+      .then(userId => {
+        expect(userId).toEqual('anon-id');
+        expect(testClient.listUsers()).toEqual([
+          { userId: 'anon-id', provider: 'anon', isActive: true },
+          { userId: 'alice-id', provider: 'userpass', isActive: false }
+        ]);
+      });
+  });
+
+  it('reuses the active user when logging in with the same provider', () => {
+    return testClient.login('alice', 'password')
+      .then(() => testClient.login('bob', 'password'))
+      .then(userId => {
+        expect(userId).toEqual('alice-id');
+        expect(testClient.listUsers().length).toEqual(1);
+      });
+  });
+
+  it('adds users explicitly with the same provider', () => {
+    return testClient.login('alice', 'password')
+      .then(() => testClient.addUser('userpass', { username: 'bob', password: 'password' }))
+      .then(userId => {
+        expect(userId).toEqual('bob-id');
+        expect(testClient.listUsers().map(user => user.userId)).toEqual(['bob-id', 'alice-id']);
+      });
+  });
+
+  it('switches the active user and its credentials', () => {
+    const events = [];
+    testClient.auth.on('activeUserChanged', event => events.push(event));
+    return testClient.login('alice', 'password')
+      .then(() => testClient.addUser('userpass', { username: 'bob', password: 'password' }))
+      .then(() => testClient.switchToUser('alice-id'))
+      .then(userId => {
+        expect(userId).toEqual('alice-id');
+        expect(testClient.auth.getRefreshToken()).toEqual('alice-refresh');
+        expect(events).toEqual([{ type: 'activeUserChanged', userId: 'alice-id' }]);
+        return testClient.executeFunction('testfunc');
+      })
+      .then(response => {
+        expect(response.token).toEqual('Bearer alice-access');
+        expect(testClient.listUsers()).toEqual([
+          { userId: 'alice-id', provider: 'userpass', isActive: true },
+          { userId: 'bob-id', provider: 'userpass', isActive: false }
+        ]);
+      });
+  });
+
+  it('rejects switching to a user who is not logged in', () => {
+    return testClient.switchToUser('nobody')
+      .then(() => { throw new Error('expected an error'); })
+      .catch(e => expect(e.code).toEqual(ErrUserNotFound));
+  });
+
+  it('logs out an inactive user without affecting the active user', () => {
+    return testClient.login('alice', 'password')
+      .then(() => testClient.addUser('userpass', { username: 'bob', password: 'password' }))
+      .then(() => testClient.logoutUser('alice-id'))
+      .then(() => {
+        expect(deletedSessions).toEqual(['Bearer alice-refresh']);
+        expect(testClient.authedId()).toEqual('bob-id');
+        expect(testClient.auth.getRefreshToken()).toEqual('bob-refresh');
+        expect(testClient.listUsers().map(user => user.userId)).toEqual(['bob-id']);
+      });
+  });
+
+  it('logs out the active user leaving inactive users logged in', () => {
+    return testClient.login('alice', 'password')
+      .then(() => testClient.addUser('userpass', { username: 'bob', password: 'password' }))
+      .then(() => testClient.logoutUser('bob-id'))
+      .then(() => {
+        expect(deletedSessions).toEqual(['Bearer bob-refresh']);
+        expect(testClient.authedId()).toBeFalsy();
+        expect(testClient.listUsers()).toEqual([
+          { userId: 'alice-id', provider: 'userpass', isActive: false }
+        ]);
+      });
+  });
+
+  it('reuses auth data stored without a provider', () => {
+    testClient.auth.storage.set(common.USER_AUTH_KEY, JSON.stringify({ accessToken: 'legacy', userId: 'legacy-id' }));
+    return testClient.login()
+      .then(userId => expect(userId).toEqual('legacy-id'));
+  });
+
+  describe('logged in by a redirect', () => {
+    const UA = 'google-access$google-refresh$google-id$device1';
+    beforeEach(() => {
+      sinon.stub(window.location, 'replace');
+      sinon.stub(window.history, 'replaceState');
+      return testClient.login();
+    });
+
+    afterEach(() => {
+      window.location.replace.restore();
+      window.history.replaceState.restore();
+      window.location.hash = '';
+    });
+
+    it('records the provider once redirected back', () => {
+      const logins = [];
+      return testClient.authenticate('google')
+        .then(() => {
+          const state = testClient.auth.storage.get(common.STATE_KEY);
+          window.location.hash = `#_stitch_state=${state}&_stitch_ua=${encodeURIComponent(UA)}`;
+          testClient.auth.on('login', event => logins.push(event));
+          testClient.auth.handleRedirect();
+          return settle();
+        })
+        .then(() => {
+          expect(logins).toEqual([{ type: 'login', userId: 'google-id', provider: 'google' }]);
+          expect(testClient.auth.storage.get(common.STATE_PROVIDER_KEY)).toBeNull();
+          expect(testClient.listUsers()).toEqual([
+            { userId: 'google-id', provider: 'google', isActive: true },
+            { userId: 'anon-id', provider: 'anon', isActive: false }
+          ]);
+          return testClient.login();
+        })
+        .then(userId => expect(userId).toEqual('anon-id'));
+    });
+
+    it('records the provider when logged in by a cookie', () => {
+      return testClient.authenticate('google')
+        .then(() => {
+          document.cookie = `${common.USER_AUTH_COOKIE_NAME}=${UA}`;
+          testClient.auth.handleCookie();
+          expect(testClient.authedId()).toEqual('google-id');
+          expect(testClient.auth.getProvider()).toEqual('google');
+        });
+    });
+
+    describe('with an asynchronous store', () => {
+      let client;
+      let store;
+      let release;
+      beforeEach(() => {
+        store = asyncStore();
+        client = new StitchClient('testapp', { storage: store, handleRedirects: false });
+        return client.ready().then(() => {
+          // holds later writes to the store until released
+          const held = new Promise(resolve => { release = resolve; });
+          const setItem = store.setItem;
+          store.setItem = (key, value) => held.then(() => setItem(key, value));
+        });
+      });
+
+      const redirectBack = () => {
+        client.auth.storage.set(common.STATE_KEY, 'our-state');
+        window.location.hash = `#_stitch_state=our-state&_stitch_ua=${encodeURIComponent(UA)}`;
+        client.auth.handleRedirect();
+      };
+
+      it('emits the login once the auth data is stored', () => {
+        const logins = [];
+        client.auth.on('login', event => logins.push(event));
+        redirectBack();
+        return settle()
+          .then(() => {
+            expect(logins).toEqual([]);
+            release();
+            return settle();
+          })
+          .then(() => {
+            expect(logins).toEqual([{ type: 'login', userId: 'google-id' }]);
+            expect(store.data[`_stitch.app.testapp.${common.USER_AUTH_KEY}`]).toBeDefined();
+          });
+      });
+
+      it('does not emit the login when the auth data cannot be stored', () => {
+        const logins = [];
+        client.auth.on('login', event => logins.push(event));
+        store.setItem = () => Promise.reject(new Error('full'));
+        sinon.stub(console, 'error');
+        redirectBack();
+        return settle()
+          .then(() => {
+            expect(console.error.calledWithMatch('failed to store auth data from redirect')).toBe(true);
+            console.error.restore();
+            expect(logins).toEqual([]);
+          });
+      });
+    });
+  });
+});
@@ -43,6 +43,12 @@ const config = {
     modules: [ path.resolve('./src'), path.resolve('./node_modules') ],
     extensions: ['.json', '.js']
   },
+  // file storage, the crypto module and loopback logins are only used in Node
+  node: {
+    fs: 'empty',
+    crypto: 'empty',
+    http: 'empty'
+  },
   plugins: plugins
 };
 